@@ -1,7 +1,6 @@
 const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
-const path = require("path");
 const multer = require("multer");
 const swaggerUi = require("swagger-ui-express");
 const yaml = require("js-yaml");
@@ -14,6 +13,12 @@ const patientRoutes = require("./routes/patient");
 const retinalImageRoutes = require("./routes/retinalImage");
 const diagnosisRoutes = require("./routes/diagnosis");
 const recommendationRoutes = require("./routes/recommendation");
+const uploadRoutes = require("./routes/uploads");
+const datasetRoutes = require("./routes/dataset");
+const visitRoutes = require("./routes/visit");
+const referralRuleRoutes = require("./routes/referralRule");
+const consultRoutes = require("./routes/consult");
+const { startDiagnosisWorker } = require("./services/diagnosisJobService");
 
 // Initialize Express app
 const app = express();
@@ -25,9 +30,11 @@ const requiredEnvVars = [
   "FRONTEND_URL",
   "EMAIL_USER",
   "EMAIL_PASS",
-  "YOLO_ENDPOINT",
-  "RESNET_ENDPOINT",
 ];
+// The stub provider runs locally and needs no model endpoints
+if ((process.env.INFERENCE_PROVIDER || "http") === "http") {
+  requiredEnvVars.push("YOLO_ENDPOINT", "RESNET_ENDPOINT");
+}
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     console.error(`Missing environment variable: ${envVar}`);
@@ -48,14 +55,9 @@ app.use(cors(corsOptions));
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
-// // Serve uploaded images securely
-// app.use(
-//   "/uploads",
-//   express.static(path.join(__dirname, "Uploads"), {
-//   })
-// );
-
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Serve uploaded images securely: a JWT or a signed URL is required, and files are
+// read through the storage service so this works for local disk and S3
+app.use("/uploads", uploadRoutes);
 
 // Load Swagger YAML and serve Swagger UI
 const swaggerDocument = yaml.load(fs.readFileSync("./swagger.yaml", "utf8"));
@@ -75,6 +77,10 @@ app.use("/api/patients", patientRoutes);
 app.use("/api/retinal-images", retinalImageRoutes);
 app.use("/api/diagnoses", diagnosisRoutes);
 app.use("/api/recommendations", recommendationRoutes); 
+app.use("/api/datasets", datasetRoutes);
+app.use("/api/visits", visitRoutes);
+app.use("/api/referral-rules", referralRuleRoutes);
+app.use("/api/consults", consultRoutes);
 
 // MongoDB connection
 const connectDB = async () => {
@@ -89,7 +95,14 @@ const connectDB = async () => {
     process.exit(1); // Exit process on failure
   }
 };
-connectDB();
+connectDB().then(async () => {
+  try {
+    // Resume interrupted diagnosis jobs and process new ones in the background
+    await startDiagnosisWorker();
+  } catch (error) {
+    console.error("Diagnosis worker error:", error);
+  }
+});
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,278 @@
+const { body, param, query, validationResult } = require("express-validator");
+const Diagnosis = require("../models/Diagnosis");
+const { seedAnnotations, effectiveDetections } = require("../utils/annotations");
+const { diffDetections } = require("../utils/detectionDiff");
+const { refreshProgressionFlag } = require("../services/progressionService");
+const { canReadPatientRecord } = require("../services/accessService");
+
+const validateBoundingBox = (required) => {
+  const field = (name, rule, message) => {
+    const chain = body(`boundingBox.${name}`);
+    return (required ? chain : chain.optional()).isFloat(rule).toFloat().withMessage(message);
+  };
+  return [
+    (required ? body("boundingBox") : body("boundingBox").optional())
+      .isObject()
+      .withMessage("boundingBox must be an object with x, y, width and height"),
+    field("x", { min: 0 }, "boundingBox.x must be a number of at least 0"),
+    field("y", { min: 0 }, "boundingBox.y must be a number of at least 0"),
+    field("width", { gt: 0 }, "boundingBox.width must be greater than 0"),
+    field("height", { gt: 0 }, "boundingBox.height must be greater than 0"),
+  ];
+};
+
+// Input validation
+const validateGetAnnotations = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  query("includeDeleted").optional().isIn(["true", "false"]).withMessage("includeDeleted must be true or false"),
+];
+
+const validateAddAnnotation = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  body("label")
+    .trim()
+    .notEmpty()
+    .withMessage("Label is required")
+    .isLength({ max: 50 })
+    .withMessage("Label must be 50 characters or less"),
+  ...validateBoundingBox(true),
+];
+
+const validateUpdateAnnotation = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  param("annotationId").isMongoId().withMessage("Invalid annotation ID"),
+  body("label")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Label cannot be empty")
+    .isLength({ max: 50 })
+    .withMessage("Label must be 50 characters or less"),
+  ...validateBoundingBox(false),
+  body().custom((value) => {
+    if (value.label === undefined && value.boundingBox === undefined) {
+      throw new Error("Provide a label or a boundingBox to change");
+    }
+    return true;
+  }),
+];
+
+const validateAnnotationId = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  param("annotationId").isMongoId().withMessage("Invalid annotation ID"),
+];
+
+// Load a diagnosis the user may annotate, or only read when forUpdate is false (consultants
+// may read); returns { diagnosis } or { status, error }
+const findOwnedDiagnosis = async (id, user, { forUpdate = false } = {}) => {
+  const diagnosis = await Diagnosis.findById(id).populate({
+    path: "retinalImageId",
+    select: "patientId",
+    populate: { path: "patientId", select: "doctorId" },
+  });
+
+  if (!diagnosis) {
+    return { status: 404, error: "Diagnosis not found." };
+  }
+  const patient = diagnosis.retinalImageId?.patientId;
+  const allowed = forUpdate
+    ? patient?.doctorId?.toString() === user.id
+    : patient &&
+      (await canReadPatientRecord(user, {
+        doctorId: patient.doctorId,
+        patientId: patient._id,
+        diagnosisId: diagnosis._id,
+        details: "annotations",
+      }));
+  if (!allowed) {
+    return { status: 403, error: "Unauthorized access." };
+  }
+  if (forUpdate && diagnosis.isCurrent === false) {
+    return { status: 400, error: "Only the current revision of a diagnosis can be annotated." };
+  }
+  return { diagnosis };
+};
+
+// Boxes are in the pixel coordinates of the image the models ran on
+const boxOutsideImage = (diagnosis, box) => {
+  const { width, height } = diagnosis.inferenceInput || {};
+  if (!width || !height) return false;
+  return box.x + box.width > width || box.y + box.height > height;
+};
+
+// Live (not deleted) annotation by its own ID or, for model boxes, the detection's ID
+const findAnnotation = (diagnosis, annotationId) =>
+  diagnosis.annotations.find(
+    (annotation) =>
+      !annotation.deletedAt &&
+      (annotation._id.toString() === annotationId || annotation.detectionId?.toString() === annotationId)
+  );
+
+// Get the model detections, the corrected boxes and a comparison of the two
+const getAnnotations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { diagnosis, status, error } = await findOwnedDiagnosis(req.params.id, req.user);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const detections = effectiveDetections(diagnosis);
+    const annotations =
+      req.query.includeDeleted === "true"
+        ? diagnosis.annotations
+        : diagnosis.annotations.filter((annotation) => !annotation.deletedAt);
+
+    res.json({
+      data: {
+        diagnosisId: diagnosis._id,
+        // False until a clinician first changes the boxes
+        corrected: diagnosis.annotations.length > 0,
+        modelDetections: diagnosis.yoloDetections,
+        annotations,
+        detections,
+        comparison: diffDetections(diagnosis.yoloDetections, detections),
+      },
+    });
+  } catch (error) {
+    console.error("Get annotations error:", error);
+    res.status(500).json({
+      error: `Failed to fetch annotations: ${error.message}`,
+    });
+  }
+};
+
+// Add a clinician-drawn box
+const addAnnotation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { diagnosis, status, error } = await findOwnedDiagnosis(req.params.id, req.user, { forUpdate: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { label, boundingBox } = req.body;
+    const { x, y, width, height } = boundingBox;
+    if (boxOutsideImage(diagnosis, { x, y, width, height })) {
+      return res.status(400).json({ error: "Bounding box extends outside the image." });
+    }
+
+    seedAnnotations(diagnosis);
+    diagnosis.annotations.push({
+      source: "clinician",
+      label,
+      boundingBox: { x, y, width, height },
+      createdBy: req.user.id,
+    });
+    await diagnosis.save();
+    // Lesion labels feed the progression flag
+    await refreshProgressionFlag(diagnosis.retinalImageId.patientId._id);
+
+    res.status(201).json({
+      message: "Annotation added successfully.",
+      data: diagnosis.annotations[diagnosis.annotations.length - 1],
+    });
+  } catch (error) {
+    console.error("Add annotation error:", error);
+    res.status(500).json({
+      error: `Failed to add annotation: ${error.message}`,
+    });
+  }
+};
+
+// Move, resize or relabel a box. Model boxes can also be referenced by their yoloDetections ID.
+const updateAnnotation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { diagnosis, status, error } = await findOwnedDiagnosis(req.params.id, req.user, { forUpdate: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    seedAnnotations(diagnosis);
+    const annotation = findAnnotation(diagnosis, req.params.annotationId);
+    if (!annotation) {
+      return res.status(404).json({ error: "Annotation not found." });
+    }
+
+    const { label, boundingBox } = req.body;
+    if (boundingBox) {
+      const box = { ...annotation.boundingBox.toObject(), ...boundingBox };
+      if (boxOutsideImage(diagnosis, box)) {
+        return res.status(400).json({ error: "Bounding box extends outside the image." });
+      }
+      annotation.boundingBox = { x: box.x, y: box.y, width: box.width, height: box.height };
+    }
+    if (label !== undefined) annotation.label = label;
+    annotation.updatedBy = req.user.id;
+    annotation.updatedAt = new Date();
+    await diagnosis.save();
+    await refreshProgressionFlag(diagnosis.retinalImageId.patientId._id);
+
+    res.json({
+      message: "Annotation updated successfully.",
+      data: annotation,
+    });
+  } catch (error) {
+    console.error("Update annotation error:", error);
+    res.status(500).json({
+      error: `Failed to update annotation: ${error.message}`,
+    });
+  }
+};
+
+// Remove a box from the corrected set; it stays on record with deletedAt set
+const deleteAnnotation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { diagnosis, status, error } = await findOwnedDiagnosis(req.params.id, req.user, { forUpdate: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    seedAnnotations(diagnosis);
+    const annotation = findAnnotation(diagnosis, req.params.annotationId);
+    if (!annotation) {
+      return res.status(404).json({ error: "Annotation not found." });
+    }
+
+    annotation.deletedBy = req.user.id;
+    annotation.deletedAt = new Date();
+    await diagnosis.save();
+    await refreshProgressionFlag(diagnosis.retinalImageId.patientId._id);
+
+    res.json({ message: "Annotation deleted successfully." });
+  } catch (error) {
+    console.error("Delete annotation error:", error);
+    res.status(500).json({
+      error: `Failed to delete annotation: ${error.message}`,
+    });
+  }
+};
+
+module.exports = {
+  getAnnotations,
+  addAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  validateGetAnnotations,
+  validateAddAnnotation,
+  validateUpdateAnnotation,
+  validateAnnotationId,
+};
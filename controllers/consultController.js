@@ -0,0 +1,338 @@
+const { body, param, query, validationResult } = require("express-validator");
+const Consult = require("../models/Consult");
+const Diagnosis = require("../models/Diagnosis");
+const Patient = require("../models/Patient");
+const User = require("../models/User");
+const { sendEmail } = require("../services/emailService");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+// Input validation
+const validateCreateConsult = [
+  body("consultantId").isMongoId().withMessage("Invalid consultant ID"),
+  body("patientId").optional().isMongoId().withMessage("Invalid patient ID"),
+  body("diagnosisId").optional().isMongoId().withMessage("Invalid diagnosis ID"),
+  body()
+    .custom((value) => Boolean(value.patientId) !== Boolean(value.diagnosisId))
+    .withMessage("Share either a patientId or a diagnosisId"),
+  body("question")
+    .trim()
+    .notEmpty()
+    .withMessage("A question is required")
+    .isLength({ max: 2000 })
+    .withMessage("Question must be 2000 characters or less"),
+  body("expiresInHours")
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_HOURS })
+    .toInt()
+    .withMessage(`expiresInHours must be between 1 and ${MAX_EXPIRY_HOURS}`),
+];
+
+const validateConsultId = [
+  param("id").isMongoId().withMessage("Invalid consult ID"),
+];
+
+const validateFetchConsults = [
+  query("role").optional().isIn(["sent", "received"]).withMessage("role must be sent or received"),
+  query("status")
+    .optional()
+    .isIn(["active", "expired", "revoked"])
+    .withMessage("status must be active, expired or revoked"),
+];
+
+const validateAddOpinion = [
+  param("id").isMongoId().withMessage("Invalid consult ID"),
+  body("text")
+    .trim()
+    .notEmpty()
+    .withMessage("Opinion text is required")
+    .isLength({ max: 5000 })
+    .withMessage("Opinion must be 5000 characters or less"),
+  body("suggestedSeverity").optional().isIn(SEVERITY_LEVELS).withMessage("Invalid severity level"),
+];
+
+const validateRevokeConsult = [
+  param("id").isMongoId().withMessage("Invalid consult ID"),
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason must be 500 characters or less"),
+];
+
+const consultStatus = (consult) => {
+  if (consult.revokedAt) return "revoked";
+  return consult.expiresAt > new Date() ? "active" : "expired";
+};
+
+const STATUS_QUERIES = {
+  active: () => ({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+  expired: () => ({ revokedAt: null, expiresAt: { $lte: new Date() } }),
+  revoked: () => ({ revokedAt: { $ne: null } }),
+};
+
+const populateConsult = (consultQuery) =>
+  consultQuery
+    .populate("requestedBy", "name email")
+    .populate("consultantId", "name email")
+    .populate("patientId", "name patientCode")
+    .populate("opinions.authorId", "name");
+
+const toConsultResponse = (consult) => {
+  const data = typeof consult.toObject === "function" ? consult.toObject() : consult;
+  return { ...data, status: consultStatus(data) };
+};
+
+// Load a consult the user requested or was asked on; returns { consult } or { status, error }
+const findParticipantConsult = async (id, userId) => {
+  const consult = await Consult.findById(id);
+  if (!consult) {
+    return { status: 404, error: "Consult not found." };
+  }
+  if (consult.requestedBy.toString() !== userId && consult.consultantId.toString() !== userId) {
+    return { status: 403, error: "Unauthorized access." };
+  }
+  return { consult };
+};
+
+// Email failures are logged so they never block the consult itself
+const notify = async (to, subject, html) => {
+  try {
+    await sendEmail(to, subject, html);
+  } catch (error) {
+    console.error("Consult notification error:", error);
+  }
+};
+
+// Share a patient or one diagnosis with another doctor and ask a question
+const createConsult = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { consultantId, patientId, diagnosisId, question, expiresInHours = DEFAULT_EXPIRY_HOURS } = req.body;
+
+    if (consultantId === req.user.id) {
+      return res.status(400).json({ error: "You cannot ask yourself for a consult." });
+    }
+    const consultant = await User.findById(consultantId).select("name email");
+    if (!consultant) {
+      return res.status(404).json({ error: "Consultant not found." });
+    }
+
+    const share = { scope: diagnosisId ? "diagnosis" : "patient" };
+    if (diagnosisId) {
+      const diagnosis = await Diagnosis.findById(diagnosisId).populate({
+        path: "retinalImageId",
+        select: "patientId",
+        populate: { path: "patientId", select: "doctorId" },
+      });
+      if (!diagnosis || !diagnosis.retinalImageId?.patientId) {
+        return res.status(404).json({ error: "Diagnosis not found." });
+      }
+      if (diagnosis.retinalImageId.patientId.doctorId.toString() !== req.user.id) {
+        return res.status(403).json({ error: "Unauthorized access." });
+      }
+      Object.assign(share, {
+        patientId: diagnosis.retinalImageId.patientId._id,
+        diagnosisId: diagnosis._id,
+        retinalImageId: diagnosis.retinalImageId._id,
+      });
+    } else {
+      const patient = await Patient.findById(patientId).select("doctorId");
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found." });
+      }
+      if (patient.doctorId.toString() !== req.user.id) {
+        return res.status(403).json({ error: "Unauthorized access." });
+      }
+      share.patientId = patient._id;
+    }
+
+    const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    const consult = await Consult.create({
+      ...share,
+      requestedBy: req.user.id,
+      consultantId: consultant._id,
+      question,
+      expiresAt,
+      events: [
+        {
+          type: "created",
+          actorId: req.user.id,
+          details: `Shared ${share.scope} with ${consultant.name} until ${expiresAt.toISOString()}`,
+        },
+      ],
+    });
+
+    await notify(
+      consultant.email,
+      "Second opinion requested",
+      `
+      <p>A colleague has asked for your opinion on a ${share.scope}.</p>
+      <p>You can view it until ${expiresAt.toUTCString()}.</p>
+      <p><a href="${process.env.FRONTEND_URL}/consults/${consult._id}">Open the consult</a></p>
+    `
+    );
+
+    const populatedConsult = await populateConsult(Consult.findById(consult._id)).lean();
+    res.status(201).json({
+      message: "Consult created successfully.",
+      data: toConsultResponse(populatedConsult),
+    });
+  } catch (error) {
+    console.error("Create consult error:", error);
+    res.status(500).json({ error: `Failed to create consult: ${error.message}` });
+  }
+};
+
+// Consults the user requested or was asked on, newest first
+const getConsults = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role, status } = req.query;
+    const query = {
+      ...(role === "sent" && { requestedBy: req.user.id }),
+      ...(role === "received" && { consultantId: req.user.id }),
+      ...(!role && { $or: [{ requestedBy: req.user.id }, { consultantId: req.user.id }] }),
+      ...(status && STATUS_QUERIES[status]()),
+    };
+
+    const consults = await populateConsult(Consult.find(query).select("-events").sort({ createdAt: -1 })).lean();
+
+    res.json({
+      message: "Consults retrieved successfully.",
+      data: consults.map(toConsultResponse),
+    });
+  } catch (error) {
+    console.error("Get consults error:", error);
+    res.status(500).json({ error: `Failed to fetch consults: ${error.message}` });
+  }
+};
+
+// A consult with its opinions and event log
+const getConsultById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { consult, status, error } = await findParticipantConsult(req.params.id, req.user.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const populatedConsult = await populateConsult(Consult.findById(consult._id))
+      .populate("events.actorId", "name")
+      .lean();
+    res.json({
+      message: "Consult retrieved successfully.",
+      data: toConsultResponse(populatedConsult),
+    });
+  } catch (error) {
+    console.error("Get consult error:", error);
+    res.status(500).json({ error: `Failed to fetch consult: ${error.message}` });
+  }
+};
+
+// The consultant answers while the consult is active
+const addOpinion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { consult, status, error } = await findParticipantConsult(req.params.id, req.user.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (consult.consultantId.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Only the consultant can post an opinion." });
+    }
+    if (consultStatus(consult) !== "active") {
+      return res.status(400).json({ error: "This consult has expired or been revoked." });
+    }
+
+    const { text, suggestedSeverity } = req.body;
+    consult.opinions.push({ authorId: req.user.id, text, suggestedSeverity });
+    consult.events.push({ type: "opinion_added", actorId: req.user.id });
+    await consult.save();
+
+    const requester = await User.findById(consult.requestedBy).select("email");
+    if (requester) {
+      await notify(
+        requester.email,
+        "Second opinion received",
+        `
+        <p>Your colleague has answered your consult.</p>
+        <p><a href="${process.env.FRONTEND_URL}/consults/${consult._id}">Open the consult</a></p>
+      `
+      );
+    }
+
+    const populatedConsult = await populateConsult(Consult.findById(consult._id)).lean();
+    res.status(201).json({
+      message: "Opinion added successfully.",
+      data: toConsultResponse(populatedConsult),
+    });
+  } catch (error) {
+    console.error("Add consult opinion error:", error);
+    res.status(500).json({ error: `Failed to add opinion: ${error.message}` });
+  }
+};
+
+// The requesting doctor ends the share early; the consultant loses access immediately
+const revokeConsult = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { consult, status, error } = await findParticipantConsult(req.params.id, req.user.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (consult.requestedBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Only the requesting doctor can revoke a consult." });
+    }
+    if (consult.revokedAt) {
+      return res.status(400).json({ error: "This consult has already been revoked." });
+    }
+
+    const { reason } = req.body;
+    consult.revokedAt = new Date();
+    consult.revokedBy = req.user.id;
+    consult.revokeReason = reason || undefined;
+    consult.events.push({ type: "revoked", actorId: req.user.id, details: reason || undefined });
+    await consult.save();
+
+    const populatedConsult = await populateConsult(Consult.findById(consult._id)).lean();
+    res.json({
+      message: "Consult revoked successfully.",
+      data: toConsultResponse(populatedConsult),
+    });
+  } catch (error) {
+    console.error("Revoke consult error:", error);
+    res.status(500).json({ error: `Failed to revoke consult: ${error.message}` });
+  }
+};
+
+module.exports = {
+  createConsult,
+  getConsults,
+  getConsultById,
+  addOpinion,
+  revokeConsult,
+  validateCreateConsult,
+  validateConsultId,
+  validateFetchConsults,
+  validateAddOpinion,
+  validateRevokeConsult,
+};
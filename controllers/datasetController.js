@@ -0,0 +1,102 @@
+const archiver = require("archiver");
+const { query, validationResult } = require("express-validator");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+const {
+  DATASET_FORMATS,
+  REVIEW_STATUSES,
+  findExportDiagnoses,
+  planDataset,
+  writeDatasetArchive,
+} = require("../services/datasetExportService");
+
+// Comma-separated list ("high,severe") to an array
+const toList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Input validation
+const validateExportDataset = [
+  query("format").isIn(DATASET_FORMATS).withMessage(`format must be one of ${DATASET_FORMATS.join(", ")}`),
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+  query("severity")
+    .optional()
+    .custom((value) => toList(value).every((level) => SEVERITY_LEVELS.includes(level)))
+    .withMessage(`severity must be a comma-separated list of ${SEVERITY_LEVELS.join(", ")}`),
+  query("label").optional().isLength({ max: 500 }).withMessage("label must be 500 characters or less"),
+  query("reviewStatus")
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`reviewStatus must be one of ${REVIEW_STATUSES.join(", ")}`),
+  query("valSplit").optional().isFloat({ min: 0, max: 0.9 }).withMessage("valSplit must be between 0 and 0.9"),
+  query("seed").optional().isLength({ max: 100 }).withMessage("seed must be 100 characters or less"),
+  query("deidentify").optional().isIn(["true", "false"]).withMessage("deidentify must be true or false"),
+];
+
+// Download a ZIP of images and lesion labels for retraining the detection model
+const exportDataset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ error: "Access denied: Admins only" });
+    }
+
+    const { format, reviewStatus, seed = "" } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    const severity = req.query.severity ? toList(req.query.severity) : undefined;
+    const label = req.query.label ? toList(req.query.label) : undefined;
+    const valSplit = req.query.valSplit !== undefined ? parseFloat(req.query.valSplit) : 0.2;
+    const deidentify = req.query.deidentify !== "false";
+
+    const diagnoses = await findExportDiagnoses({ from, to, severities: severity, reviewStatus });
+    const plan = planDataset(diagnoses, { labels: label, valSplit, seed, deidentify });
+    if (plan.items.length === 0) {
+      return res.status(404).json({ error: "No diagnoses match the export filters." });
+    }
+
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    archive.on("warning", (warning) => console.warn("Dataset export warning:", warning));
+    archive.on("error", (archiveError) => {
+      console.error("Dataset export archive error:", archiveError);
+      res.destroy(archiveError);
+    });
+    // Stop building the archive if the client goes away
+    res.on("close", () => {
+      if (!res.writableFinished) archive.abort();
+    });
+
+    res.attachment(`dataset-${format}-${new Date().toISOString().slice(0, 10)}.zip`);
+    res.type("application/zip");
+    archive.pipe(res);
+
+    await writeDatasetArchive(archive, plan, {
+      format,
+      valSplit,
+      seed,
+      deidentify,
+      filters: { from, to, severity, label, reviewStatus },
+    });
+    await archive.finalize();
+  } catch (error) {
+    console.error("Export dataset error:", error);
+    // Once the archive has started streaming the only option is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: `Failed to export dataset: ${error.message}`,
+    });
+  }
+};
+
+module.exports = {
+  exportDataset,
+  validateExportDataset,
+};
@@ -0,0 +1,193 @@
+const { body, param, validationResult } = require("express-validator");
+const Diagnosis = require("../models/Diagnosis");
+const DiagnosisBatch = require("../models/DiagnosisBatch");
+const DiagnosisJob = require("../models/DiagnosisJob");
+const RetinalImage = require("../models/RetinalImage");
+const Patient = require("../models/Patient");
+const { MAX_BATCH_SIZE, queueDiagnosisBatch } = require("../services/diagnosisBatchService");
+
+// Input validation
+const validateCreateBatch = [
+  body("patientId").optional().isMongoId().withMessage("Invalid patient ID"),
+  body("retinalImageIds")
+    .optional()
+    .isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(`retinalImageIds must be a list of 1 to ${MAX_BATCH_SIZE} IDs`),
+  body("retinalImageIds.*").isMongoId().withMessage("Invalid retinal image ID"),
+  body("scope").optional().isIn(["undiagnosed"]).withMessage('scope must be "undiagnosed"'),
+  body().custom((value) => {
+    const given = ["patientId", "retinalImageIds", "scope"].filter((key) => value[key] !== undefined);
+    if (given.length !== 1) {
+      throw new Error('Provide exactly one of patientId, retinalImageIds or scope: "undiagnosed"');
+    }
+    return true;
+  }),
+];
+
+const validateBatchId = [
+  param("batchId").isMongoId().withMessage("Invalid batch ID"),
+];
+
+// Queue diagnoses for a patient's images, a list of images, or every undiagnosed image
+const createBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { patientId, retinalImageIds, scope } = req.body;
+    let images = [];
+    const skipped = [];
+    let scopeType;
+
+    if (patientId) {
+      scopeType = "patient";
+      const patient = await Patient.findById(patientId);
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found." });
+      }
+      if (patient.doctorId.toString() !== req.user.id) {
+        return res.status(403).json({ error: "Unauthorized access." });
+      }
+      images = await RetinalImage.find({ patientId }).select("_id");
+    } else if (retinalImageIds) {
+      scopeType = "images";
+      const uniqueIds = [...new Set(retinalImageIds)];
+      const found = await RetinalImage.find({ _id: { $in: uniqueIds } })
+        .select("_id patientId")
+        .populate("patientId", "doctorId");
+      const foundById = new Map(found.map((img) => [img._id.toString(), img]));
+
+      uniqueIds.forEach((id) => {
+        const img = foundById.get(id);
+        if (!img) {
+          skipped.push({ retinalImageId: id, reason: "Retinal image not found." });
+        } else if (img.patientId?.doctorId?.toString() !== req.user.id) {
+          skipped.push({ retinalImageId: id, reason: "Unauthorized access." });
+        } else {
+          images.push(img);
+        }
+      });
+    } else if (scope === "undiagnosed") {
+      scopeType = "undiagnosed";
+      const patients = await Patient.find({ doctorId: req.user.id }).select("_id");
+      const imageIds = await RetinalImage.distinct("_id", {
+        patientId: { $in: patients.map((p) => p._id) },
+      });
+      // Only this doctor's images, rather than every diagnosed image in the system
+      const diagnosedIds = await Diagnosis.distinct("retinalImageId", {
+        retinalImageId: { $in: imageIds },
+      });
+      images = await RetinalImage.find({ _id: { $in: imageIds, $nin: diagnosedIds } })
+        .select("_id")
+        .sort({ uploadedAt: 1 });
+    }
+
+    let result;
+    try {
+      result = await queueDiagnosisBatch({
+        requestedBy: req.user.id,
+        scope: { type: scopeType, patientId },
+        images,
+        skipped,
+      });
+    } catch (batchError) {
+      if (!batchError.status) throw batchError;
+      return res.status(batchError.status).json({ error: batchError.message });
+    }
+    const { batch, queued } = result;
+
+    res.status(202).json({
+      message: queued > 0 ? "Diagnosis batch queued." : "No images to diagnose.",
+      data: {
+        batchId: batch._id,
+        queued,
+        skipped: result.skipped,
+        statusUrl: `/api/diagnoses/batches/${batch._id}`,
+      },
+    });
+  } catch (error) {
+    console.error("Create diagnosis batch error:", error);
+    res.status(500).json({
+      error: `Failed to create diagnosis batch: ${error.message}`,
+    });
+  }
+};
+
+// Get batch progress with per-image results
+const getBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await DiagnosisBatch.findById(req.params.batchId).lean();
+    if (!batch) {
+      return res.status(404).json({ error: "Diagnosis batch not found." });
+    }
+    if (batch.requestedBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const jobs = await DiagnosisJob.find({ batchId: batch._id })
+      .select("retinalImageId status diagnosisId error finishedAt")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const summary = {
+      total: jobs.length,
+      queued: 0,
+      running: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: batch.skipped.length,
+    };
+    jobs.forEach((job) => {
+      summary[job.status]++;
+    });
+
+    const pending = summary.queued + summary.running;
+    let status = "completed";
+    if (pending > 0) {
+      status = summary.queued === jobs.length ? "queued" : "running";
+    }
+
+    const finishedAt =
+      status === "completed" && jobs.length > 0
+        ? new Date(Math.max(...jobs.map((job) => new Date(job.finishedAt || batch.createdAt).getTime())))
+        : null;
+
+    res.json({
+      data: {
+        batchId: batch._id,
+        status,
+        scope: batch.scope,
+        summary,
+        createdAt: batch.createdAt,
+        finishedAt,
+        items: jobs.map((job) => ({
+          retinalImageId: job.retinalImageId,
+          jobId: job._id,
+          status: job.status,
+          diagnosisId: job.diagnosisId || null,
+          error: job.error || null,
+        })),
+        skipped: batch.skipped,
+      },
+    });
+  } catch (error) {
+    console.error("Get diagnosis batch error:", error);
+    res.status(500).json({
+      error: `Failed to fetch diagnosis batch: ${error.message}`,
+    });
+  }
+};
+
+module.exports = {
+  createBatch,
+  getBatch,
+  validateCreateBatch,
+  validateBatchId,
+};
@@ -2,9 +2,18 @@ const { body, param, query, validationResult } = require("express-validator");
 const Diagnosis = require("../models/Diagnosis");
 const RetinalImage = require("../models/RetinalImage");
 const Patient = require("../models/Patient");
-const { runYOLO, runResNet } = require("../services/inferenceService");
-const path = require("path");
-const fs = require("fs").promises;
+const DiagnosisJob = require("../models/DiagnosisJob");
+const { enqueueDiagnosisJob, findActiveJob } = require("../services/diagnosisJobService");
+const { isMoreSevere, severityFor, SEVERITY_LEVELS } = require("../utils/severity");
+const { diffDetections, diffSeverity } = require("../utils/detectionDiff");
+const { removeFile, getBuffer } = require("../services/storageService");
+const { renderDetectionOverlay } = require("../services/overlayService");
+const { effectiveDetections } = require("../utils/annotations");
+const { META_PM_CATEGORIES, PLUS_LESIONS } = require("../utils/metaPm");
+const { REFERRAL_URGENCIES } = require("../services/referralService");
+const { refreshProgressionFlag } = require("../services/progressionService");
+const { withDiagnosisUrls } = require("../utils/imageUrls");
+const { canReadPatientRecord } = require("../services/accessService");
 
 // Input validation (unchanged)
 const validateCreateDiagnosis = [
@@ -21,8 +30,52 @@ const validateDiagnosisId = [
   param("id").isMongoId().withMessage("Invalid diagnosis ID"),
 ];
 
+const validateRediagnose = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes must be 500 characters or less"),
+  body("skipCache").optional().isBoolean().toBoolean().withMessage("skipCache must be a boolean"),
+];
+
+const validateDiagnosisDiff = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  query("against").optional().isMongoId().withMessage("Invalid diagnosis ID to compare against"),
+];
+
+const validateOverlay = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  query("includeAnnotations").optional().isIn(["true", "false"]).withMessage("includeAnnotations must be true or false"),
+  query("captions").optional().isIn(["true", "false"]).withMessage("captions must be true or false"),
+  query("minConfidence").optional().isFloat({ min: 0, max: 1 }).withMessage("minConfidence must be between 0 and 1"),
+];
+
+const validateJobId = [
+  param("jobId").isMongoId().withMessage("Invalid job ID"),
+];
+
 const validatePatientId = [
   param("patientId").isMongoId().withMessage("Invalid patient ID"),
+  query("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
+];
+
+const validateSeverityAggregates = [
+  query("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
+  query("byEye").optional().isIn(["true", "false"]).withMessage("byEye must be true or false"),
+  query("basis").optional().isIn(["ai", "final"]).withMessage("basis must be ai or final"),
+];
+
+const validateReviewDiagnosis = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+  body("status").isIn(["confirmed", "overridden"]).withMessage("Status must be confirmed or overridden"),
+  body("finalSeverity")
+    .if(body("status").equals("overridden"))
+    .isIn(SEVERITY_LEVELS)
+    .withMessage("A final severity is required when overriding"),
+  body("reason")
+    .if(body("status").equals("overridden"))
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required when overriding"),
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason must be 500 characters or less"),
 ];
 
 const validateFetchDiagnoses = [
@@ -31,8 +84,34 @@ const validateFetchDiagnoses = [
   query("search").optional().trim().escape(),
   query("patientId").optional().isMongoId().withMessage("Invalid patient ID"),
   query("severity").optional().isIn(["normal", "low", "medium", "high", "severe"]).withMessage("Invalid severity level"),
+  query("modelVersion").optional().trim().notEmpty().withMessage("Invalid model version"),
+  query("includeHistory").optional().isIn(["true", "false"]).withMessage("includeHistory must be true or false"),
+  query("uncertain").optional().isIn(["true", "false"]).withMessage("uncertain must be true or false"),
+  query("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
+  query("reviewStatus")
+    .optional()
+    .isIn(["pending_review", "confirmed", "overridden"])
+    .withMessage("reviewStatus must be pending_review, confirmed or overridden"),
+  query("metaPmCategory")
+    .optional()
+    .isIn(META_PM_CATEGORIES)
+    .withMessage(`metaPmCategory must be one of ${META_PM_CATEGORIES.join(", ")}`),
+  query("plusLesion")
+    .optional()
+    .isIn(PLUS_LESIONS)
+    .withMessage(`plusLesion must be one of ${PLUS_LESIONS.join(", ")}`),
+  query("plus").optional().isIn(["true", "false"]).withMessage("plus must be true or false"),
+  query("referralUrgency")
+    .optional()
+    .isIn(REFERRAL_URGENCIES)
+    .withMessage(`referralUrgency must be one of ${REFERRAL_URGENCIES.join(", ")}`),
 ];
 
+// Images without a recorded eye are grouped under "unknown" in per-eye aggregates
+const EYE_GROUPS = ["left", "right", "unknown"];
+
+const emptySeverityCounts = () => ({ normal: 0, low: 0, medium: 0, high: 0, severe: 0 });
+
 // Create a new diagnosis
 const createDiagnosis = async (req, res) => {
   try {
@@ -54,44 +133,33 @@ const createDiagnosis = async (req, res) => {
     // Check for existing diagnosis
     const existingDiagnosis = await Diagnosis.findOne({ retinalImageId });
     if (existingDiagnosis) {
-      return res.status(400).json({ error: "A diagnosis already exists for this retinal image." });
-    }
-
-    const [yoloResult, resnetResult] = await Promise.all([
-      runYOLO(retinalImage.originalImagePath),
-      runResNet(retinalImage.originalImagePath),
-    ]);
-
-    if (!yoloResult.detections || !resnetResult.severity_level) {
-      return res.status(500).json({ error: "Invalid inference results from models." });
+      return res.status(400).json({
+        error: "A diagnosis already exists for this retinal image. Use the re-diagnose endpoint to run inference again.",
+        diagnosisId: existingDiagnosis._id,
+      });
     }
 
-    if (yoloResult.output_image) {
-      // Save the URL directly as returned by the inference API (e.g., "/static/filename.png")
-      retinalImage.yoloOutputPath = yoloResult.output_image;
-      await retinalImage.save();
-    } else {
-      retinalImage.yoloOutputPath = null;
-      await retinalImage.save();
+    const activeJob = await findActiveJob(retinalImageId);
+    if (activeJob) {
+      return res.status(400).json({
+        error: "A diagnosis job is already in progress for this retinal image.",
+        jobId: activeJob._id,
+      });
     }
 
-    const diagnosis = await Diagnosis.create({
+    const job = await enqueueDiagnosisJob({
       retinalImageId,
-      yoloDetections: yoloResult.detections,
-      severityLevel: resnetResult.severity_level,
+      requestedBy: req.user.id,
       notes,
     });
 
-    // Populate the created diagnosis for consistent response
-    const populatedDiagnosis = await Diagnosis.findById(diagnosis._id).populate({
-      path: "retinalImageId",
-      select: "originalImagePath yoloOutputPath patientId",
-      populate: { path: "patientId", select: "name" },
-    });
-
-    res.status(201).json({
-      message: "Diagnosis created successfully.",
-      data: populatedDiagnosis,
+    res.status(202).json({
+      message: "Diagnosis job queued.",
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/diagnoses/jobs/${job._id}`,
+      },
     });
   } catch (error) {
     console.error("Create diagnosis error:", error);
@@ -100,6 +168,65 @@ const createDiagnosis = async (req, res) => {
     });
   }
 };
+
+// Get the status of a diagnosis job
+const getDiagnosisJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { jobId } = req.params;
+
+    const job = await DiagnosisJob.findById(jobId)
+      .populate({
+        path: "retinalImageId",
+        select: "patientId",
+        populate: { path: "patientId", select: "name doctorId" },
+      })
+      .populate({
+        path: "diagnosisId",
+        populate: {
+          path: "retinalImageId",
+          select: "originalImagePath yoloOutputPath patientId eye capturedAt",
+          populate: { path: "patientId", select: "name" },
+        },
+      })
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({ error: "Diagnosis job not found." });
+    }
+
+    if (
+      job.requestedBy.toString() !== req.user.id &&
+      job.retinalImageId?.patientId?.doctorId?.toString() !== req.user.id
+    ) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    res.json({
+      data: {
+        jobId: job._id,
+        status: job.status,
+        retinalImageId: job.retinalImageId?._id,
+        attempts: job.attempts,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        diagnosis: job.diagnosisId ? withDiagnosisUrls(job.diagnosisId) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get diagnosis job error:", error);
+    res.status(500).json({
+      error: `Failed to fetch diagnosis job: ${error.message}`,
+    });
+  }
+};
+
 // Get all diagnoses for the logged-in doctor with pagination and filters
 const getDiagnoses = async (req, res) => {
   try {
@@ -108,12 +235,57 @@ const getDiagnoses = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { page = 1, limit = 10, search = "", patientId, severity } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      search = "",
+      patientId,
+      severity,
+      modelVersion,
+      includeHistory,
+      uncertain,
+      eye,
+      reviewStatus,
+      metaPmCategory,
+      plusLesion,
+      plus,
+      referralUrgency,
+    } = req.query;
 
     const query = {};
+    if (includeHistory !== "true") {
+      query.isCurrent = { $ne: false };
+    }
     if (severity) {
       query.severityLevel = severity;
     }
+    if (uncertain) {
+      query.needsReview = uncertain === "true" ? true : { $ne: true };
+    }
+    if (reviewStatus) {
+      // Diagnoses made before reviews existed have no status and are pending
+      query["review.status"] = reviewStatus === "pending_review" ? { $in: [null, "pending_review"] } : reviewStatus;
+    }
+    if (metaPmCategory) {
+      query["metaPm.category"] = metaPmCategory;
+    }
+    if (plusLesion) {
+      query[`metaPm.plusLesions.${plusLesion}`] = true;
+    }
+    if (plus) {
+      query["metaPm.plus"] = plus === "true" ? true : { $ne: true };
+    }
+    if (referralUrgency) {
+      // Diagnoses that have not been evaluated yet have no referral
+      query["referral.urgency"] = referralUrgency === "none" ? { $in: [null, "none"] } : referralUrgency;
+    }
+    if (modelVersion) {
+      // Match diagnoses where either model ran at the requested version
+      query.$or = [
+        { "provenance.detection.modelVersion": modelVersion },
+        { "provenance.classification.modelVersion": modelVersion },
+      ];
+    }
 
     // Filter by doctorId and search/patientId
     const patientQuery = {
@@ -125,6 +297,7 @@ const getDiagnoses = async (req, res) => {
     const patients = await Patient.find(patientQuery).select("_id");
     const retinalImages = await RetinalImage.find({
       patientId: { $in: patients.map((p) => p._id) },
+      ...(eye && { eye }),
     }).select("_id");
 
     query.retinalImageId = { $in: retinalImages.map((img) => img._id) };
@@ -132,12 +305,13 @@ const getDiagnoses = async (req, res) => {
     const diagnoses = await Diagnosis.find(query)
       .populate({
         path: "retinalImageId",
-        select: "originalImagePath yoloOutputPath patientId",
+        select: "originalImagePath yoloOutputPath patientId eye capturedAt",
         populate: { path: "patientId", select: "name" },
       })
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
-      .sort({ diagnosedAt: -1 })
+      // Least confident first when reviewing uncertain cases
+      .sort(uncertain === "true" ? { severityConfidence: 1, diagnosedAt: -1 } : { diagnosedAt: -1 })
       .lean();
 
     // Filter out diagnoses with missing retinalImageId (edge case)
@@ -146,7 +320,7 @@ const getDiagnoses = async (req, res) => {
     const total = await Diagnosis.countDocuments(query);
 
     res.json({
-      data: validDiagnoses,
+      data: validDiagnoses.map(withDiagnosisUrls),
       total,
       page: parseInt(page),
       pages: Math.ceil(total / limit),
@@ -172,7 +346,7 @@ const getDiagnosisById = async (req, res) => {
     const diagnosis = await Diagnosis.findById(id)
       .populate({
         path: "retinalImageId",
-        select: "originalImagePath yoloOutputPath patientId",
+        select: "originalImagePath yoloOutputPath patientId eye capturedAt",
         populate: { path: "patientId", select: "name doctorId" }, // Include doctorId
       })
       .lean();
@@ -181,11 +355,17 @@ const getDiagnosisById = async (req, res) => {
       return res.status(404).json({ error: "Diagnosis not found." });
     }
 
+    // Other doctors may read diagnoses shared with them through a consult
     if (
       !diagnosis.retinalImageId ||
       !diagnosis.retinalImageId.patientId ||
       !diagnosis.retinalImageId.patientId.doctorId ||
-      diagnosis.retinalImageId.patientId.doctorId.toString() !== req.user.id
+      !(await canReadPatientRecord(req.user, {
+        doctorId: diagnosis.retinalImageId.patientId.doctorId,
+        patientId: diagnosis.retinalImageId.patientId._id,
+        diagnosisId: diagnosis._id,
+        details: "diagnosis",
+      }))
     ) {
       console.warn(
         "Unauthorized access attempt:",
@@ -201,7 +381,7 @@ const getDiagnosisById = async (req, res) => {
     }
 
     res.json({
-      data: diagnosis,
+      data: withDiagnosisUrls(diagnosis),
     });
   } catch (error) {
     console.error("Get diagnosis error:", error);
@@ -258,13 +438,13 @@ const updateDiagnosis = async (req, res) => {
     const populatedDiagnosis = await Diagnosis.findById(id)
       .populate({
         path: "retinalImageId",
-        select: "originalImagePath yoloOutputPath patientId",
+        select: "originalImagePath yoloOutputPath patientId eye capturedAt",
         populate: { path: "patientId", select: "name" },
       })
       .lean();
 
     res.json({
-      data: populatedDiagnosis,
+      data: withDiagnosisUrls(populatedDiagnosis),
     });
   } catch (error) {
     console.error("Update diagnosis error:", error);
@@ -274,6 +454,80 @@ const updateDiagnosis = async (req, res) => {
   }
 };
 
+// Confirm the AI severity or override it with a final severity and a reason
+const reviewDiagnosis = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { status, finalSeverity, reason } = req.body;
+
+    const diagnosis = await Diagnosis.findById(id).populate({
+      path: "retinalImageId",
+      select: "patientId",
+      populate: { path: "patientId", select: "doctorId" },
+    });
+
+    if (!diagnosis) {
+      return res.status(404).json({ error: "Diagnosis not found." });
+    }
+
+    if (diagnosis.retinalImageId?.patientId?.doctorId?.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    if (diagnosis.isCurrent === false) {
+      return res.status(400).json({ error: "Only the current revision of a diagnosis can be reviewed." });
+    }
+
+    if (status === "overridden" && finalSeverity === diagnosis.severityLevel) {
+      return res.status(400).json({
+        error: "The final severity matches the AI severity; confirm the diagnosis instead.",
+      });
+    }
+
+    // Keep the previous decision when a diagnosis is reviewed again
+    const { review } = diagnosis;
+    if (review.status && review.status !== "pending_review") {
+      review.history.push({
+        status: review.status,
+        finalSeverity: review.finalSeverity,
+        reason: review.reason,
+        reviewedBy: review.reviewedBy,
+        reviewedAt: review.reviewedAt,
+      });
+    }
+    review.status = status;
+    review.finalSeverity = status === "overridden" ? finalSeverity : diagnosis.severityLevel;
+    review.reason = reason || undefined;
+    review.reviewedBy = req.user.id;
+    review.reviewedAt = new Date();
+    await diagnosis.save();
+    await refreshProgressionFlag(diagnosis.retinalImageId.patientId._id);
+
+    const populatedDiagnosis = await Diagnosis.findById(id)
+      .populate({
+        path: "retinalImageId",
+        select: "originalImagePath yoloOutputPath patientId eye capturedAt",
+        populate: { path: "patientId", select: "name" },
+      })
+      .lean();
+
+    res.json({
+      message: status === "confirmed" ? "Diagnosis confirmed." : "Diagnosis severity overridden.",
+      data: withDiagnosisUrls(populatedDiagnosis),
+    });
+  } catch (error) {
+    console.error("Review diagnosis error:", error);
+    res.status(500).json({
+      error: `Failed to review diagnosis: ${error.message}`,
+    });
+  }
+};
+
 // Delete a diagnosis
 const deleteDiagnosis = async (req, res) => {
   try {
@@ -313,18 +567,38 @@ const deleteDiagnosis = async (req, res) => {
       return res.status(403).json({ error: "Unauthorized access." });
     }
 
-    // Clear yoloOutputPath and delete output file
-    if (diagnosis.retinalImageId.yoloOutputPath) {
-      try {
-        await fs.unlink(path.join(__dirname, "..", diagnosis.retinalImageId.yoloOutputPath));
-      } catch (fileError) {
-        console.error("Error deleting YOLO output file:", fileError);
-      }
-      await RetinalImage.findByIdAndUpdate(diagnosis.retinalImageId._id, { yoloOutputPath: null });
-    }
+    const isCurrent = diagnosis.isCurrent !== false;
+
+    // Delete this revision's YOLO output file (older diagnoses only recorded it on the retinal image)
+    const outputPath = diagnosis.yoloOutput?.path || (isCurrent ? diagnosis.retinalImageId.yoloOutputPath : null);
+    await removeFile(outputPath);
+
+    // Keep the revision chain intact: the next revision now follows this one's predecessor
+    await Diagnosis.updateMany(
+      { previousRevisionId: diagnosis._id },
+      diagnosis.previousRevisionId
+        ? { $set: { previousRevisionId: diagnosis.previousRevisionId } }
+        : { $unset: { previousRevisionId: "" } }
+    );
 
     await Diagnosis.deleteOne({ _id: id });
 
+    // Keep the image diagnosed by promoting the latest remaining revision
+    if (isCurrent) {
+      const latestRevision = await Diagnosis.findOne({
+        retinalImageId: diagnosis.retinalImageId._id,
+      }).sort({ revision: -1 });
+      if (latestRevision) {
+        latestRevision.isCurrent = true;
+        latestRevision.supersededAt = undefined;
+        await latestRevision.save();
+      }
+      await RetinalImage.findByIdAndUpdate(diagnosis.retinalImageId._id, {
+        yoloOutputPath: latestRevision?.yoloOutput?.path || null,
+      });
+      await refreshProgressionFlag(diagnosis.retinalImageId.patientId._id);
+    }
+
     res.json({ message: "Diagnosis deleted successfully." });
   } catch (error) {
     console.error("Delete diagnosis error:", error);
@@ -334,6 +608,256 @@ const deleteDiagnosis = async (req, res) => {
   }
 };
 
+// Re-run inference on a diagnosed retinal image, adding a new revision
+const rediagnose = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { notes, skipCache } = req.body;
+
+    const diagnosis = await Diagnosis.findById(id).populate({
+      path: "retinalImageId",
+      select: "patientId",
+      populate: { path: "patientId", select: "doctorId" },
+    });
+
+    if (!diagnosis) {
+      return res.status(404).json({ error: "Diagnosis not found." });
+    }
+
+    if (
+      !diagnosis.retinalImageId ||
+      !diagnosis.retinalImageId.patientId ||
+      !diagnosis.retinalImageId.patientId.doctorId ||
+      diagnosis.retinalImageId.patientId.doctorId.toString() !== req.user.id
+    ) {
+      console.warn(
+        "Unauthorized access attempt in rediagnose:",
+        JSON.stringify({
+          diagnosisId: id,
+          retinalImageId: diagnosis.retinalImageId?._id,
+          patientId: diagnosis.retinalImageId?.patientId?._id,
+          doctorId: diagnosis.retinalImageId?.patientId?.doctorId,
+          userId: req.user.id,
+        })
+      );
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const retinalImageId = diagnosis.retinalImageId._id;
+
+    const activeJob = await findActiveJob(retinalImageId);
+    if (activeJob) {
+      return res.status(400).json({
+        error: "A diagnosis job is already in progress for this retinal image.",
+        jobId: activeJob._id,
+      });
+    }
+
+    const job = await enqueueDiagnosisJob({
+      retinalImageId,
+      requestedBy: req.user.id,
+      notes,
+      supersedesDiagnosisId: diagnosis._id,
+      skipCache,
+    });
+
+    res.status(202).json({
+      message: "Re-diagnosis job queued.",
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/diagnoses/jobs/${job._id}`,
+      },
+    });
+  } catch (error) {
+    console.error("Rediagnose error:", error);
+    res.status(500).json({
+      error: `Failed to re-run diagnosis: ${error.message}`,
+    });
+  }
+};
+
+// Get every revision of the diagnosis for the same retinal image
+const getDiagnosisRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const diagnosis = await Diagnosis.findById(id)
+      .populate({
+        path: "retinalImageId",
+        select: "patientId",
+        populate: { path: "patientId", select: "doctorId" },
+      })
+      .lean();
+
+    if (!diagnosis) {
+      return res.status(404).json({ error: "Diagnosis not found." });
+    }
+
+    if (diagnosis.retinalImageId?.patientId?.doctorId?.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const revisions = await Diagnosis.find({ retinalImageId: diagnosis.retinalImageId._id })
+      .sort({ revision: -1 })
+      .lean();
+
+    const current = revisions.find((revision) => revision.isCurrent !== false);
+
+    res.json({
+      data: revisions.map(withDiagnosisUrls),
+      currentRevisionId: current?._id || null,
+    });
+  } catch (error) {
+    console.error("Get diagnosis revisions error:", error);
+    res.status(500).json({
+      error: `Failed to fetch diagnosis revisions: ${error.message}`,
+    });
+  }
+};
+
+// Compare severity and detections between two revisions (default: the previous one)
+const getDiagnosisDiff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const diagnosis = await Diagnosis.findById(id)
+      .populate({
+        path: "retinalImageId",
+        select: "patientId",
+        populate: { path: "patientId", select: "doctorId" },
+      })
+      .lean();
+
+    if (!diagnosis) {
+      return res.status(404).json({ error: "Diagnosis not found." });
+    }
+
+    if (diagnosis.retinalImageId?.patientId?.doctorId?.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const againstId = req.query.against || diagnosis.previousRevisionId;
+    if (!againstId) {
+      return res.status(400).json({ error: "This diagnosis has no previous revision to compare against." });
+    }
+
+    const against = await Diagnosis.findById(againstId).lean();
+    if (!against) {
+      return res.status(404).json({ error: "Diagnosis to compare against not found." });
+    }
+    if (against.retinalImageId.toString() !== diagnosis.retinalImageId._id.toString()) {
+      return res.status(400).json({ error: "Both diagnoses must belong to the same retinal image." });
+    }
+
+    // Always diff from the older revision to the newer one
+    const [from, to] = (against.revision || 1) <= (diagnosis.revision || 1) ? [against, diagnosis] : [diagnosis, against];
+
+    res.json({
+      data: {
+        from: { id: from._id, revision: from.revision || 1, diagnosedAt: from.diagnosedAt },
+        to: { id: to._id, revision: to.revision || 1, diagnosedAt: to.diagnosedAt },
+        severity: diffSeverity(from.severityLevel, to.severityLevel),
+        detections: diffDetections(from.yoloDetections, to.yoloDetections),
+      },
+    });
+  } catch (error) {
+    console.error("Get diagnosis diff error:", error);
+    res.status(500).json({
+      error: `Failed to compare diagnoses: ${error.message}`,
+    });
+  }
+};
+
+// Render the detection boxes onto the original image as a JPEG
+const getDiagnosisOverlay = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const diagnosis = await Diagnosis.findById(id)
+      .populate({
+        path: "retinalImageId",
+        select: "originalImagePath patientId",
+        populate: { path: "patientId", select: "doctorId" },
+      })
+      .lean();
+
+    if (!diagnosis) {
+      return res.status(404).json({ error: "Diagnosis not found." });
+    }
+
+    if (
+      !diagnosis.retinalImageId?.patientId ||
+      !(await canReadPatientRecord(req.user, {
+        doctorId: diagnosis.retinalImageId.patientId.doctorId,
+        patientId: diagnosis.retinalImageId.patientId._id,
+        diagnosisId: diagnosis._id,
+        details: "diagnosis overlay",
+      }))
+    ) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    // Model boxes by default; includeAnnotations shows the clinician-corrected set instead
+    let detections =
+      req.query.includeAnnotations === "true"
+        ? effectiveDetections(diagnosis)
+        : diagnosis.yoloDetections.map((detection) => ({ ...detection, source: "model" }));
+    if (req.query.minConfidence !== undefined) {
+      const minConfidence = parseFloat(req.query.minConfidence);
+      // Clinician boxes have no confidence and are always drawn
+      detections = detections.filter(
+        (detection) => detection.source === "clinician" || (detection.confidence ?? 0) >= minConfidence
+      );
+    }
+
+    let imageBuffer;
+    try {
+      imageBuffer = await getBuffer(diagnosis.retinalImageId.originalImagePath);
+    } catch (readError) {
+      if (readError.code !== "ENOENT") throw readError;
+      return res.status(404).json({ error: "Retinal image file not found." });
+    }
+
+    const overlay = await renderDetectionOverlay(imageBuffer, detections, {
+      inferenceInput: diagnosis.inferenceInput,
+      captions: req.query.captions !== "false",
+    });
+
+    res.set({
+      "Content-Type": "image/jpeg",
+      "Content-Length": overlay.length,
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(overlay);
+  } catch (error) {
+    console.error("Get diagnosis overlay error:", error);
+    res.status(500).json({
+      error: `Failed to render overlay: ${error.message}`,
+    });
+  }
+};
+
 // Get all diagnoses for a patient
 const getDiagnosesByPatient = async (req, res) => {
   try {
@@ -348,14 +872,29 @@ const getDiagnosesByPatient = async (req, res) => {
     if (!patient) {
       return res.status(404).json({ error: "Patient not found." });
     }
-    if (patient.doctorId.toString() !== req.user.id) {
+    if (
+      !(await canReadPatientRecord(req.user, {
+        doctorId: patient.doctorId,
+        patientId: patient._id,
+        details: "patient diagnoses",
+      }))
+    ) {
       return res.status(403).json({ error: "Unauthorized access." });
     }
 
-    const diagnoses = await Diagnosis.find({ "retinalImageId.patientId": patientId })
+    const retinalImages = await RetinalImage.find({
+      patientId,
+      ...(req.query.eye && { eye: req.query.eye }),
+    }).select("_id");
+
+    const diagnoses = await Diagnosis.find({
+      retinalImageId: { $in: retinalImages.map((img) => img._id) },
+      isCurrent: { $ne: false },
+    })
+      .sort({ diagnosedAt: -1 })
       .populate({
         path: "retinalImageId",
-        select: "originalImagePath yoloOutputPath patientId",
+        select: "originalImagePath yoloOutputPath patientId eye capturedAt",
         populate: { path: "patientId", select: "name" },
       })
       .lean();
@@ -364,7 +903,7 @@ const getDiagnosesByPatient = async (req, res) => {
     const validDiagnoses = diagnoses.filter((d) => d.retinalImageId);
 
     res.json({
-      data: validDiagnoses,
+      data: validDiagnoses.map(withDiagnosisUrls),
     });
   } catch (error) {
     console.error("Get diagnoses by patient error:", error);
@@ -384,6 +923,7 @@ const getDiagnosisCount = async (req, res) => {
 
     const count = await Diagnosis.countDocuments({
       retinalImageId: { $in: retinalImages.map((img) => img._id) },
+      isCurrent: { $ne: false },
     });
 
     res.json({ count });
@@ -393,36 +933,59 @@ const getDiagnosisCount = async (req, res) => {
   }
 };
 
-// Get patient count by severity level
+// Get patient count by severity level, optionally per eye (?byEye=true) or for one eye (?eye=left).
+// ?basis=final counts the reviewed severity instead of the AI's.
 const getPatientsBySeverity = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eye, byEye, basis = "ai" } = req.query;
+
     const patients = await Patient.find({ doctorId: req.user.id }).select("_id");
     const retinalImages = await RetinalImage.find({
       patientId: { $in: patients.map((p) => p._id) },
+      ...(eye && { eye }),
     }).select("_id");
 
     const diagnoses = await Diagnosis.find({
       retinalImageId: { $in: retinalImages.map((img) => img._id) },
+      isCurrent: { $ne: false },
     })
       .populate({
         path: "retinalImageId",
-        select: "patientId",
+        select: "patientId eye",
         populate: { path: "patientId", select: "_id" },
       })
       .lean();
 
+    // Keep the worst severity per patient, or per patient and eye
     const patientSeverityMap = {};
     diagnoses
       .filter((d) => d.retinalImageId)
       .forEach((diagnosis) => {
         const patientId = diagnosis.retinalImageId.patientId._id.toString();
-        const currentSeverity = diagnosis.severityLevel;
-        if (!patientSeverityMap[patientId] || isMoreSevere(currentSeverity, patientSeverityMap[patientId])) {
-          patientSeverityMap[patientId] = currentSeverity;
+        const key = byEye === "true" ? `${patientId}:${diagnosis.retinalImageId.eye || "unknown"}` : patientId;
+        const currentSeverity = severityFor(diagnosis, basis);
+        if (!patientSeverityMap[key] || isMoreSevere(currentSeverity, patientSeverityMap[key])) {
+          patientSeverityMap[key] = currentSeverity;
         }
       });
 
-    const severityCounts = { normal: 0, low: 0, medium: 0, high: 0, severe: 0 };
+    if (byEye === "true") {
+      const eyeCounts = Object.fromEntries(EYE_GROUPS.map((group) => [group, emptySeverityCounts()]));
+      Object.entries(patientSeverityMap).forEach(([key, severity]) => {
+        const group = key.split(":")[1];
+        if (eyeCounts[group][severity] !== undefined) {
+          eyeCounts[group][severity]++;
+        }
+      });
+      return res.json(eyeCounts);
+    }
+
+    const severityCounts = emptySeverityCounts();
     Object.values(patientSeverityMap).forEach((severity) => {
       if (severityCounts[severity] !== undefined) {
         severityCounts[severity]++;
@@ -436,21 +999,44 @@ const getPatientsBySeverity = async (req, res) => {
   }
 };
 
-// Get diagnosis count by severity level
+// Get diagnosis count by severity level, optionally per eye (?byEye=true) or for one eye (?eye=left).
+// ?basis=final counts the reviewed severity instead of the AI's.
 const getDiagnosesBySeverity = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eye, byEye, basis = "ai" } = req.query;
+
     const patients = await Patient.find({ doctorId: req.user.id }).select("_id");
     const retinalImages = await RetinalImage.find({
       patientId: { $in: patients.map((p) => p._id) },
-    }).select("_id");
+      ...(eye && { eye }),
+    }).select("_id eye");
 
     const diagnoses = await Diagnosis.find({
       retinalImageId: { $in: retinalImages.map((img) => img._id) },
+      isCurrent: { $ne: false },
     }).lean();
 
-    const severityCounts = { normal: 0, low: 0, medium: 0, high: 0, severe: 0 };
+    if (byEye === "true") {
+      const imageEyes = new Map(retinalImages.map((img) => [img._id.toString(), img.eye || "unknown"]));
+      const eyeCounts = Object.fromEntries(EYE_GROUPS.map((group) => [group, emptySeverityCounts()]));
+      diagnoses.forEach((diagnosis) => {
+        const counts = eyeCounts[imageEyes.get(diagnosis.retinalImageId.toString())];
+        const severity = severityFor(diagnosis, basis);
+        if (counts && counts[severity] !== undefined) {
+          counts[severity]++;
+        }
+      });
+      return res.json(eyeCounts);
+    }
+
+    const severityCounts = emptySeverityCounts();
     diagnoses.forEach((diagnosis) => {
-      const severity = diagnosis.severityLevel;
+      const severity = severityFor(diagnosis, basis);
       if (severityCounts[severity] !== undefined) {
         severityCounts[severity]++;
       }
@@ -475,10 +1061,11 @@ const getRecentDiagnoses = async (req, res) => {
 
     const diagnoses = await Diagnosis.find({
       retinalImageId: { $in: retinalImages.map((img) => img._id) },
+      isCurrent: { $ne: false },
     })
       .populate({
         path: "retinalImageId",
-        select: "patientId",
+        select: "patientId eye",
         populate: { path: "patientId", select: "name" },
       })
       .sort({ diagnosedAt: -1 })
@@ -490,7 +1077,14 @@ const getRecentDiagnoses = async (req, res) => {
       .map((diagnosis) => ({
         id: diagnosis._id,
         patientName: diagnosis.retinalImageId?.patientId?.name || "Unknown",
+        eye: diagnosis.retinalImageId?.eye || null,
         severity_level: diagnosis.severityLevel,
+        final_severity: severityFor(diagnosis, "final"),
+        review_status: diagnosis.review?.status || "pending_review",
+        meta_pm_category: diagnosis.metaPm?.category || null,
+        meta_pm_plus: diagnosis.metaPm?.plus || false,
+        referral_urgency: diagnosis.referral?.urgency || "none",
+        referral_reason: diagnosis.referral?.reason || null,
         createdAt: diagnosis.diagnosedAt,
       }));
 
@@ -501,18 +1095,18 @@ const getRecentDiagnoses = async (req, res) => {
   }
 };
 
-// Helper function to determine more severe level
-const isMoreSevere = (newSeverity, oldSeverity) => {
-  const severityOrder = { normal: 0, low: 1, medium: 2, high: 3, severe: 4 };
-  return severityOrder[newSeverity] > severityOrder[oldSeverity];
-};
-
 module.exports = {
   createDiagnosis,
+  getDiagnosisJob,
   getDiagnoses,
   getDiagnosisById,
   updateDiagnosis,
+  reviewDiagnosis,
   deleteDiagnosis,
+  rediagnose,
+  getDiagnosisRevisions,
+  getDiagnosisDiff,
+  getDiagnosisOverlay,
   getDiagnosesByPatient,
   getDiagnosisCount,
   getPatientsBySeverity,
@@ -521,6 +1115,12 @@ module.exports = {
   validateCreateDiagnosis,
   validateUpdateDiagnosis,
   validateDiagnosisId,
+  validateRediagnose,
+  validateDiagnosisDiff,
+  validateOverlay,
+  validateJobId,
   validatePatientId,
   validateFetchDiagnoses,
+  validateSeverityAggregates,
+  validateReviewDiagnosis,
 };
\ No newline at end of file
@@ -1,11 +1,20 @@
 // backend/controllers/patientController.js
-const { body, validationResult, query } = require("express-validator");
+const { body, param, validationResult, query } = require("express-validator");
 const Patient = require("../models/Patient");
 const RetinalImage = require("../models/RetinalImage");
+const { buildPatientTimeline } = require("../services/progressionService");
+const { refreshReferrals } = require("../services/referralService");
+const { canReadPatientRecord } = require("../services/accessService");
 
 // Input validation middleware for creating a patient
 const validateCreatePatient = [
   body("name").notEmpty().trim().withMessage("Name is required"),
+  body("patientCode")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .matches(/^[\w.-]+$/)
+    .withMessage("Patient code may only contain letters, digits, '_', '.' and '-' (max 50)"),
   body("gender")
     .isIn(["male", "female", "other"])
     .withMessage("Invalid gender"),
@@ -29,6 +38,12 @@ const validateCreatePatient = [
 // Input validation middleware for updating a patient
 const validateUpdatePatient = [
   body("name").optional().notEmpty().trim().withMessage("Name cannot be empty"),
+  body("patientCode")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .matches(/^[\w.-]+$/)
+    .withMessage("Patient code may only contain letters, digits, '_', '.' and '-' (max 50)"),
   body("gender")
     .optional()
     .isIn(["male", "female", "other"])
@@ -57,6 +72,10 @@ const validateFetchPatients = [
   query("search").optional().trim().escape(),
 ];
 
+// Find one of the doctor's patients by code, ignoring case
+const findPatientByCode = (doctorId, patientCode) =>
+  Patient.findOne({ doctorId, patientCode }).collation({ locale: "en", strength: 2 });
+
 // Create a new patient
 const createPatient = async (req, res) => {
   try {
@@ -65,7 +84,7 @@ const createPatient = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, gender, dateOfBirth, contactInfo, address } = req.body;
+    const { name, patientCode, gender, dateOfBirth, contactInfo, address } = req.body;
 
     if (contactInfo?.email) {
       const existing = await Patient.findOne({
@@ -76,9 +95,14 @@ const createPatient = async (req, res) => {
       }
     }
 
+    if (patientCode && (await findPatientByCode(req.user.id, patientCode))) {
+      return res.status(400).json({ error: "Patient code already exists." });
+    }
+
     const patient = new Patient({
       doctorId: req.user.id,
       name,
+      patientCode,
       gender,
       dateOfBirth,
       contactInfo: {
@@ -110,13 +134,17 @@ const getPatients = async (req, res) => {
     const { page = 1, limit = 10, search = "" } = req.query;
     const query = { doctorId: req.user.id };
     if (search) {
-      query.name = { $regex: search, $options: "i" }; // Case-insensitive search
+      // Case-insensitive search by name or patient code
+      query.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { patientCode: { $regex: search, $options: "i" } },
+      ];
     }
 
     const patients = await Patient.find(query)
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
-      .select("name gender dateOfBirth contactInfo address");
+      .select("name patientCode gender dateOfBirth contactInfo address");
     const total = await Patient.countDocuments(query);
 
     res.json({
@@ -135,11 +163,16 @@ const getPatients = async (req, res) => {
 // Get a single patient by ID
 const getPatientById = async (req, res) => {
   try {
-    const patient = await Patient.findOne({
-      _id: req.params.id,
-      doctorId: req.user.id,
-    });
-    if (!patient) {
+    const patient = await Patient.findById(req.params.id);
+    // Other doctors only see patients shared with them through a consult
+    if (
+      !patient ||
+      !(await canReadPatientRecord(req.user, {
+        doctorId: patient.doctorId,
+        patientId: patient._id,
+        details: "patient",
+      }))
+    ) {
       return res.status(404).json({ error: "Patient not found." });
     }
     res.json({
@@ -160,9 +193,10 @@ const updatePatient = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, gender, dateOfBirth, contactInfo, address } = req.body;
+    const { name, patientCode, gender, dateOfBirth, contactInfo, address } = req.body;
     const updates = {};
     if (name) updates.name = name;
+    if (patientCode) updates.patientCode = patientCode;
     if (gender) updates.gender = gender;
     if (dateOfBirth) updates.dateOfBirth = dateOfBirth;
     if (address) updates.address = address;
@@ -181,6 +215,13 @@ const updatePatient = async (req, res) => {
       }
     }
 
+    if (patientCode) {
+      const existing = await findPatientByCode(req.user.id, patientCode);
+      if (existing && existing._id.toString() !== req.params.id) {
+        return res.status(400).json({ error: "Patient code already exists." });
+      }
+    }
+
     const patient = await Patient.findOneAndUpdate(
       { _id: req.params.id, doctorId: req.user.id },
       { $set: updates },
@@ -191,6 +232,11 @@ const updatePatient = async (req, res) => {
       return res.status(404).json({ error: "Patient not found." });
     }
 
+    // Age-based referral rules depend on the date of birth
+    if (dateOfBirth) {
+      await refreshReferrals(patient._id);
+    }
+
     res.json({
       message: "Patient updated successfully.",
       data: patient,
@@ -284,6 +330,73 @@ const getPatientsByGender = async (req, res) => {
   }
 };
 
+// Input validation middleware for the progression timeline
+const validatePatientTimeline = [
+  param("id").isMongoId().withMessage("Invalid patient ID"),
+  query("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
+  query("basis").optional().isIn(["ai", "final"]).withMessage("basis must be ai or final"),
+];
+
+// Get a patient's diagnoses per eye in chronological order, with severity changes and lesion counts
+const getPatientTimeline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const patient = await Patient.findById(req.params.id).select("doctorId name patientCode progression");
+    if (
+      !patient ||
+      !(await canReadPatientRecord(req.user, {
+        doctorId: patient.doctorId,
+        patientId: patient._id,
+        details: "patient timeline",
+      }))
+    ) {
+      return res.status(404).json({ error: "Patient not found." });
+    }
+
+    const timeline = await buildPatientTimeline(patient._id, {
+      eye: req.query.eye,
+      basis: req.query.basis || "final",
+    });
+
+    res.json({
+      message: "Patient timeline retrieved successfully.",
+      data: {
+        patient: { id: patient._id, name: patient.name, patientCode: patient.patientCode },
+        progression: patient.progression,
+        ...timeline,
+      },
+    });
+  } catch (error) {
+    console.error("Get patient timeline error:", error);
+    res.status(500).json({ error: "Failed to fetch patient timeline." });
+  }
+};
+
+// Get the logged-in doctor's patients flagged as progressing
+const getProgressingPatients = async (req, res) => {
+  try {
+    const patients = await Patient.find({
+      doctorId: req.user.id,
+      "progression.flagged": true,
+    })
+      .select("name patientCode dateOfBirth progression")
+      .sort({ "progression.evaluatedAt": -1 });
+
+    res.json({
+      message: "Progressing patients retrieved successfully.",
+      data: patients,
+      count: patients.length,
+    });
+  } catch (error) {
+    console.error("Get progressing patients error:", error);
+    res.status(500).json({ error: "Failed to fetch progressing patients." });
+  }
+};
+
 module.exports = {
   createPatient,
   getPatients,
@@ -296,4 +409,7 @@ module.exports = {
   getPatientCount,
   getActivePatientCount,
   getPatientsByGender,
+  getPatientTimeline,
+  getProgressingPatients,
+  validatePatientTimeline,
 };
@@ -3,6 +3,7 @@ const { body, validationResult } = require("express-validator");
 const Diagnosis = require("../models/Diagnosis");
 const RetinalImage = require("../models/RetinalImage");
 const Recommendation = require("../models/Recommendation");
+const { effectiveDetections } = require("../utils/annotations");
 require("dotenv").config();
 
 // Initialize Gemini AI
@@ -46,8 +47,9 @@ const generateRecommendation = async (req, res) => {
     }
 
     // Construct prompt for Gemini
-    const { severityLevel, yoloDetections, notes } = diagnosis;
-    const detectionSummary = yoloDetections
+    // Use the clinician-corrected boxes when there are any
+    const { severityLevel, notes } = diagnosis;
+    const detectionSummary = effectiveDetections(diagnosis)
       .map(
         (d) =>
           `Label: ${d.label}, Confidence: ${d.confidence}, Bounding Box: [x: ${d.boundingBox.x}, y: ${d.boundingBox.y}, w: ${d.boundingBox.width}, h: ${d.boundingBox.height}]`
@@ -94,6 +96,7 @@ Recommendation:
     const recommendation = new Recommendation({
       diagnosisId,
       patientId: retinalImage.patientId,
+      visitId: diagnosis.visitId,
       recommendationText: trimmedRecommendation,
       createdBy: userId,
     });
@@ -107,6 +110,7 @@ Recommendation:
         id: recommendation._id,
         diagnosisId: recommendation.diagnosisId,
         patientId: recommendation.patientId,
+        visitId: recommendation.visitId,
         recommendationText: recommendation.recommendationText,
         createdBy: recommendation.createdBy,
         createdAt: recommendation.createdAt,
@@ -0,0 +1,335 @@
+const { body, param, validationResult } = require("express-validator");
+const ReferralRule = require("../models/ReferralRule");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+const { META_PM_CATEGORIES, PLUS_LESIONS } = require("../utils/metaPm");
+const { loadActiveRules, dryRunReferralRules, scheduleReferralRefresh } = require("../services/referralService");
+
+const RULE_URGENCIES = ["routine", "soon", "urgent"];
+const CONDITION_FIELDS = [
+  "severities",
+  "minSeverity",
+  "labels",
+  "minLabelConfidence",
+  "maxSeverityConfidence",
+  "minAge",
+  "maxAge",
+  "progressing",
+  "metaPmCategories",
+  "plusLesions",
+];
+
+// A rule needs at least one condition, otherwise it would refer every patient
+const hasCondition = (conditions) =>
+  CONDITION_FIELDS.some((field) => {
+    const value = conditions?.[field];
+    return value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+  });
+
+// Validation for the fields of a rule, under prefix ("" or "rules.*.") in the body.
+// With required false, only the fields that are sent are checked.
+const validateRuleFields = (prefix, { required }) => {
+  const field = (name) => (required ? body(`${prefix}${name}`) : body(`${prefix}${name}`).optional());
+  return [
+    field("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Name is required")
+      .isLength({ max: 100 })
+      .withMessage("Name must be 100 characters or less"),
+    body(`${prefix}description`)
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description must be 500 characters or less"),
+    body(`${prefix}enabled`).optional().isBoolean().toBoolean().withMessage("enabled must be a boolean"),
+    body(`${prefix}priority`)
+      .optional()
+      .isInt({ min: -1000, max: 1000 })
+      .toInt()
+      .withMessage("priority must be a whole number between -1000 and 1000"),
+    field("urgency").isIn(RULE_URGENCIES).withMessage(`urgency must be one of ${RULE_URGENCIES.join(", ")}`),
+    field("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Reason is required")
+      .isLength({ max: 500 })
+      .withMessage("Reason must be 500 characters or less"),
+    field("conditions")
+      .isObject()
+      .withMessage("conditions must be an object")
+      .custom(hasCondition)
+      .withMessage("A rule needs at least one condition")
+      .custom((conditions) => !(Number(conditions.minAge) > Number(conditions.maxAge)))
+      .withMessage("minAge cannot be greater than maxAge"),
+    body(`${prefix}conditions.severities`).optional().isArray().withMessage("conditions.severities must be a list"),
+    body(`${prefix}conditions.severities.*`).isIn(SEVERITY_LEVELS).withMessage("Invalid severity level"),
+    body(`${prefix}conditions.minSeverity`)
+      .optional({ values: "null" })
+      .isIn(SEVERITY_LEVELS)
+      .withMessage("Invalid severity level"),
+    body(`${prefix}conditions.labels`).optional().isArray().withMessage("conditions.labels must be a list"),
+    body(`${prefix}conditions.labels.*`).isString().trim().notEmpty().withMessage("Labels cannot be empty"),
+    body(`${prefix}conditions.minLabelConfidence`)
+      .optional({ values: "null" })
+      .isFloat({ min: 0, max: 1 })
+      .toFloat()
+      .withMessage("conditions.minLabelConfidence must be between 0 and 1"),
+    body(`${prefix}conditions.maxSeverityConfidence`)
+      .optional({ values: "null" })
+      .isFloat({ min: 0, max: 1 })
+      .toFloat()
+      .withMessage("conditions.maxSeverityConfidence must be between 0 and 1"),
+    body(`${prefix}conditions.minAge`)
+      .optional({ values: "null" })
+      .isFloat({ min: 0, max: 130 })
+      .toFloat()
+      .withMessage("conditions.minAge must be between 0 and 130"),
+    body(`${prefix}conditions.maxAge`)
+      .optional({ values: "null" })
+      .isFloat({ min: 0, max: 130 })
+      .toFloat()
+      .withMessage("conditions.maxAge must be between 0 and 130"),
+    body(`${prefix}conditions.progressing`)
+      .optional({ values: "null" })
+      .isBoolean()
+      .toBoolean()
+      .withMessage("conditions.progressing must be a boolean"),
+    body(`${prefix}conditions.metaPmCategories`)
+      .optional()
+      .isArray()
+      .withMessage("conditions.metaPmCategories must be a list"),
+    body(`${prefix}conditions.metaPmCategories.*`)
+      .isIn(META_PM_CATEGORIES)
+      .withMessage(`META-PM categories must be one of ${META_PM_CATEGORIES.join(", ")}`),
+    body(`${prefix}conditions.plusLesions`).optional().isArray().withMessage("conditions.plusLesions must be a list"),
+    body(`${prefix}conditions.plusLesions.*`)
+      .isIn(PLUS_LESIONS)
+      .withMessage(`Plus lesions must be one of ${PLUS_LESIONS.join(", ")}`),
+  ];
+};
+
+// Input validation
+const validateCreateReferralRule = validateRuleFields("", { required: true });
+
+const validateUpdateReferralRule = [
+  param("id").isMongoId().withMessage("Invalid referral rule ID"),
+  ...validateRuleFields("", { required: false }),
+];
+
+const validateReferralRuleId = [
+  param("id").isMongoId().withMessage("Invalid referral rule ID"),
+];
+
+const validateDryRun = [
+  body("rules").optional().isArray({ min: 1, max: 100 }).withMessage("rules must be a list of 1 to 100 rules"),
+  ...validateRuleFields("rules.*.", { required: true }),
+  body("from").optional().isISO8601().toDate().withMessage("Invalid from date"),
+  body("to").optional().isISO8601().toDate().withMessage("Invalid to date"),
+  body("limit").optional().isInt({ min: 1, max: 5000 }).toInt().withMessage("limit must be between 1 and 5000"),
+];
+
+// Keep only the condition fields that were sent
+const pickConditions = (conditions) =>
+  Object.fromEntries(
+    CONDITION_FIELDS.filter((field) => conditions[field] !== undefined).map((field) => [field, conditions[field]])
+  );
+
+const findRuleByName = (name, excludeId) =>
+  ReferralRule.findOne({ name, ...(excludeId && { _id: { $ne: excludeId } }) });
+
+// List referral rules, highest priority first
+const getReferralRules = async (req, res) => {
+  try {
+    const rules = await ReferralRule.find().sort({ priority: -1, createdAt: 1 }).lean();
+    res.json({
+      message: "Referral rules retrieved successfully.",
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Get referral rules error:", error);
+    res.status(500).json({ error: `Failed to fetch referral rules: ${error.message}` });
+  }
+};
+
+// Get one referral rule
+const getReferralRuleById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await ReferralRule.findById(req.params.id).lean();
+    if (!rule) {
+      return res.status(404).json({ error: "Referral rule not found." });
+    }
+
+    res.json({
+      message: "Referral rule retrieved successfully.",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Get referral rule error:", error);
+    res.status(500).json({ error: `Failed to fetch referral rule: ${error.message}` });
+  }
+};
+
+// Create a referral rule (admins only)
+const createReferralRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ error: "Access denied: Admins only" });
+    }
+
+    const { name, description, enabled, priority, urgency, reason, conditions } = req.body;
+    if (await findRuleByName(name)) {
+      return res.status(400).json({ error: "A referral rule with this name already exists." });
+    }
+
+    const rule = await ReferralRule.create({
+      name,
+      description,
+      enabled,
+      priority,
+      urgency,
+      reason,
+      conditions: pickConditions(conditions),
+      createdBy: req.user.id,
+    });
+    // Stored referrals are re-evaluated with the new ruleset in the background
+    scheduleReferralRefresh();
+
+    res.status(201).json({
+      message: "Referral rule created successfully.",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Create referral rule error:", error);
+    res.status(500).json({ error: `Failed to create referral rule: ${error.message}` });
+  }
+};
+
+// Update a referral rule (admins only). conditions, when sent, replaces all conditions.
+const updateReferralRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ error: "Access denied: Admins only" });
+    }
+
+    const rule = await ReferralRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Referral rule not found." });
+    }
+
+    const { name, description, enabled, priority, urgency, reason, conditions } = req.body;
+    if (name !== undefined && name !== rule.name && (await findRuleByName(name, rule._id))) {
+      return res.status(400).json({ error: "A referral rule with this name already exists." });
+    }
+
+    if (name !== undefined) rule.name = name;
+    if (description !== undefined) rule.description = description;
+    if (enabled !== undefined) rule.enabled = enabled;
+    if (priority !== undefined) rule.priority = priority;
+    if (urgency !== undefined) rule.urgency = urgency;
+    if (reason !== undefined) rule.reason = reason;
+    if (conditions !== undefined) rule.conditions = pickConditions(conditions);
+    rule.updatedBy = req.user.id;
+    await rule.save();
+    scheduleReferralRefresh();
+
+    res.json({
+      message: "Referral rule updated successfully.",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Update referral rule error:", error);
+    res.status(500).json({ error: `Failed to update referral rule: ${error.message}` });
+  }
+};
+
+// Delete a referral rule (admins only)
+const deleteReferralRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ error: "Access denied: Admins only" });
+    }
+
+    const rule = await ReferralRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Referral rule not found." });
+    }
+    scheduleReferralRefresh();
+
+    res.json({ message: "Referral rule deleted successfully." });
+  } catch (error) {
+    console.error("Delete referral rule error:", error);
+    res.status(500).json({ error: `Failed to delete referral rule: ${error.message}` });
+  }
+};
+
+// Test a ruleset against past diagnoses without changing them (admins only). Uses the
+// enabled stored rules unless rules are given in the body.
+const dryRunReferralRuleset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ error: "Access denied: Admins only" });
+    }
+
+    const { from, to, limit = 500 } = req.body;
+    const rules = req.body.rules
+      ? req.body.rules.map((rule) => ({
+          name: rule.name,
+          enabled: rule.enabled,
+          priority: rule.priority,
+          urgency: rule.urgency,
+          reason: rule.reason,
+          conditions: pickConditions(rule.conditions),
+        }))
+      : await loadActiveRules();
+
+    const result = await dryRunReferralRules(rules, { from, to, limit });
+    res.json({
+      message: "Dry run completed.",
+      data: {
+        ruleset: req.body.rules ? "request" : "stored",
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error("Referral rule dry run error:", error);
+    res.status(500).json({ error: `Failed to run referral rules: ${error.message}` });
+  }
+};
+
+module.exports = {
+  getReferralRules,
+  getReferralRuleById,
+  createReferralRule,
+  updateReferralRule,
+  deleteReferralRule,
+  dryRunReferralRuleset,
+  validateCreateReferralRule,
+  validateUpdateReferralRule,
+  validateReferralRuleId,
+  validateDryRun,
+};
@@ -0,0 +1,108 @@
+const { param, validationResult } = require("express-validator");
+const Diagnosis = require("../models/Diagnosis");
+const Patient = require("../models/Patient");
+const { canReadPatientRecord } = require("../services/accessService");
+const {
+  buildDiagnosisReport,
+  buildPatientReport,
+  renderDiagnosisReport,
+  renderPatientReport,
+} = require("../services/reportService");
+
+// Input validation
+const validateDiagnosisReport = [
+  param("id").isMongoId().withMessage("Invalid diagnosis ID"),
+];
+
+const validatePatientReport = [
+  param("id").isMongoId().withMessage("Invalid patient ID"),
+];
+
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Length": pdf.length,
+    "Content-Disposition": `inline; filename="${filename}"`,
+    // Reports hold patient data and change whenever the diagnosis does
+    "Cache-Control": "private, no-store",
+  });
+  res.send(pdf);
+};
+
+// PDF of one diagnosis: patient, fundus images with lesion boxes, findings, notes and
+// the latest recommendation
+const getDiagnosisReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const diagnosis = await Diagnosis.findById(req.params.id)
+      .populate({
+        path: "retinalImageId",
+        select: "originalImagePath patientId visitId eye captureDevice capturedAt uploadedAt",
+        populate: { path: "patientId", select: "doctorId name patientCode gender dateOfBirth" },
+      })
+      .lean();
+
+    if (!diagnosis) {
+      return res.status(404).json({ error: "Diagnosis not found." });
+    }
+
+    if (
+      !diagnosis.retinalImageId?.patientId ||
+      !(await canReadPatientRecord(req.user, {
+        doctorId: diagnosis.retinalImageId.patientId.doctorId,
+        patientId: diagnosis.retinalImageId.patientId._id,
+        diagnosisId: diagnosis._id,
+        details: "diagnosis report",
+      }))
+    ) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const pdf = await renderDiagnosisReport(await buildDiagnosisReport(diagnosis));
+    sendPdf(res, pdf, `diagnosis-${diagnosis._id}.pdf`);
+  } catch (error) {
+    console.error("Get diagnosis report error:", error);
+    res.status(500).json({ error: `Failed to generate diagnosis report: ${error.message}` });
+  }
+};
+
+// PDF summary of a patient across all visits
+const getPatientReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const patient = await Patient.findById(req.params.id).lean();
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found." });
+    }
+    if (
+      !(await canReadPatientRecord(req.user, {
+        doctorId: patient.doctorId,
+        patientId: patient._id,
+        details: "patient report",
+      }))
+    ) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const pdf = await renderPatientReport(await buildPatientReport(patient));
+    sendPdf(res, pdf, `patient-${patient._id}.pdf`);
+  } catch (error) {
+    console.error("Get patient report error:", error);
+    res.status(500).json({ error: `Failed to generate patient report: ${error.message}` });
+  }
+};
+
+module.exports = {
+  getDiagnosisReport,
+  getPatientReport,
+  validateDiagnosisReport,
+  validatePatientReport,
+};
@@ -3,12 +3,50 @@ const { body, param, query, validationResult } = require("express-validator");
 const RetinalImage = require("../models/RetinalImage");
 const Patient = require("../models/Patient");
 const Diagnosis = require("../models/Diagnosis");
-const path = require("path");
 const fs = require("fs").promises;
+const path = require("path");
+const { removeDerivatives } = require("../services/imagePreprocessingService");
+const { removeFile } = require("../services/storageService");
+const { ingestRetinalImage, removeTempFile } = require("../services/retinalImageIngestionService");
+const { importRetinalImages } = require("../services/bulkImportService");
+const { withImageUrls } = require("../utils/imageUrls");
+const { refreshProgressionFlag } = require("../services/progressionService");
+const { setImagesVisit, findPatientVisit } = require("../services/visitService");
+const { canReadPatientRecord } = require("../services/accessService");
+
+// Eye and capture details accepted on upload and update
+const validateCaptureMetadata = [
+  body("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
+  body("captureDevice")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Capture device must be 100 characters or less"),
+  body("fieldOfView")
+    .optional()
+    .isFloat({ min: 1, max: 220 })
+    .toFloat()
+    .withMessage("Field of view must be between 1 and 220 degrees"),
+  body("capturedAt")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid capture date")
+    .custom((value) => value <= new Date())
+    .withMessage("Capture date cannot be in the future"),
+];
 
 // Input validation (unchanged)
 const validateUploadRetinalImage = [
   body("patientId").isMongoId().withMessage("Invalid patient ID"),
+  body("visitId").optional().isMongoId().withMessage("Invalid visit ID"),
+  body("rejectUngradable").optional().isBoolean().toBoolean().withMessage("rejectUngradable must be a boolean"),
+  ...validateCaptureMetadata,
+];
+
+const validateBulkUpload = [
+  body("rejectUngradable").optional().isBoolean().toBoolean().withMessage("rejectUngradable must be a boolean"),
+  body("diagnose").optional().isBoolean().toBoolean().withMessage("diagnose must be a boolean"),
 ];
 
 const validateRetinalImageId = [
@@ -18,10 +56,13 @@ const validateRetinalImageId = [
 const validateUpdateRetinalImage = [
   param("id").isMongoId().withMessage("Invalid retinal image ID"),
   body("patientId").optional().isMongoId().withMessage("Invalid patient ID"),
+  body("visitId").optional({ values: "null" }).isMongoId().withMessage("Invalid visit ID"),
+  ...validateCaptureMetadata,
 ];
 
 const validatePatientId = [
   param("patientId").isMongoId().withMessage("Invalid patient ID"),
+  query("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
 ];
 
 const validateFetchRetinalImages = [
@@ -29,9 +70,10 @@ const validateFetchRetinalImages = [
   query("limit").optional().isInt({ min: 1 }).toInt().withMessage("Invalid limit"),
   query("search").optional().trim().escape(),
   query("patientId").optional().isMongoId().withMessage("Invalid patient ID"),
+  query("eye").optional().isIn(["left", "right"]).withMessage("Eye must be left or right"),
 ];
 
-// Upload a retinal image (unchanged)
+// Upload a retinal image
 const uploadRetinalImage = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -39,31 +81,29 @@ const uploadRetinalImage = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { patientId } = req.body;
-    const uploadedBy = req.user.id;
+    const { patientId, visitId, rejectUngradable, eye, captureDevice, fieldOfView, capturedAt } = req.body;
     const file = req.file;
 
     if (!file) {
       return res.status(400).json({ error: "No file uploaded." });
     }
 
-    const allowedTypes = ["image/jpeg", "image/png", "image/jpg"];
+    const allowedTypes = ["image/jpeg", "image/png", "image/jpg", "application/dicom", "application/octet-stream"];
     if (!allowedTypes.includes(file.mimetype)) {
-      await fs.unlink(file.path);
-      return res.status(400).json({ error: "Only JPEG or PNG images are allowed." });
+      return res.status(400).json({ error: "Only JPEG, PNG or DICOM files are allowed." });
     }
 
     const patient = await Patient.findById(patientId);
     if (!patient) {
-      await fs.unlink(file.path);
       return res.status(404).json({ error: "Patient not found." });
     }
     if (patient.doctorId.toString() !== req.user.id) {
-      await fs.unlink(file.path);
       return res.status(403).json({ error: "Unauthorized access." });
     }
 
-    const originalImagePath = path.join("uploads", "input", file.filename);
+    if (visitId && !(await findPatientVisit(visitId, patientId))) {
+      return res.status(404).json({ error: "Visit not found for this patient." });
+    }
 
     try {
       await fs.access(file.path);
@@ -71,28 +111,86 @@ const uploadRetinalImage = async (req, res) => {
       return res.status(500).json({ error: "Failed to save image file." });
     }
 
-    const newImage = await RetinalImage.create({
-      patientId,
-      uploadedBy,
-      originalImagePath,
-    });
+    let result;
+    try {
+      result = await ingestRetinalImage({
+        filePath: file.path,
+        patient,
+        uploadedBy: req.user.id,
+        rejectUngradable,
+        capture: { eye, captureDevice, fieldOfView, capturedAt },
+        visitId,
+      });
+    } catch (ingestionError) {
+      if (!ingestionError.status) throw ingestionError;
+      return res.status(ingestionError.status).json({ error: ingestionError.message, ...ingestionError.details });
+    }
 
+    const { image, warnings, duplicate } = result;
     res.status(201).json({
       message: "Image uploaded successfully.",
-      data: newImage,
+      data: withImageUrls(image),
+      ...(warnings.length > 0 && { warnings }),
+      ...(duplicate && {
+        duplicateOf: { id: duplicate._id, uploadedAt: duplicate.uploadedAt },
+      }),
     });
   } catch (error) {
-    if (req.file) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        console.error("Error deleting file:", unlinkError);
-      }
-    }
     console.error("Upload retinal image error:", error);
     res.status(500).json({
       error: `Failed to upload retinal image: ${error.message}`,
     });
+  } finally {
+    await removeTempFile(req.file?.path);
+  }
+};
+
+// Upload many retinal images, or a ZIP archive of them, and report the outcome per file
+const bulkUploadRetinalImages = async (req, res) => {
+  const images = req.files?.images || [];
+  const archive = req.files?.archive?.[0];
+  const manifestFile = req.files?.manifest?.[0];
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (images.length === 0 && !archive) {
+      return res.status(400).json({ error: "No images or archive uploaded." });
+    }
+
+    const manifest = manifestFile && {
+      content: await fs.readFile(manifestFile.path, "utf8"),
+      format: path.extname(manifestFile.originalname).slice(1).toLowerCase(),
+    };
+
+    let report;
+    try {
+      report = await importRetinalImages({
+        files: images,
+        archivePath: archive?.path,
+        manifest,
+        uploadedBy: req.user.id,
+        rejectUngradable: req.body.rejectUngradable,
+        diagnose: req.body.diagnose,
+      });
+    } catch (importError) {
+      if (!importError.status) throw importError;
+      return res.status(importError.status).json({ error: importError.message });
+    }
+
+    res.json({
+      message: `Imported ${report.imported} of ${report.total} files.`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Bulk upload retinal images error:", error);
+    res.status(500).json({
+      error: `Failed to upload retinal images: ${error.message}`,
+    });
+  } finally {
+    await Promise.all([...images, archive, manifestFile].map((file) => removeTempFile(file?.path)));
   }
 };
 
@@ -104,12 +202,15 @@ const getRetinalImages = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { page = 1, limit = 10, search = "", patientId } = req.query;
+    const { page = 1, limit = 10, search = "", patientId, eye } = req.query;
 
     const query = { uploadedBy: req.user.id }; // Filter by authenticated doctor
     if (patientId) {
       query.patientId = patientId;
     }
+    if (eye) {
+      query.eye = eye;
+    }
 
     let images;
     let total;
@@ -138,7 +239,7 @@ const getRetinalImages = async (req, res) => {
 
     res.json({
       message: "Retinal images retrieved successfully.",
-      data: images,
+      data: images.map(withImageUrls),
       total,
       page: parseInt(page),
       pages: Math.ceil(total / limit),
@@ -170,13 +271,21 @@ const getRetinalImageById = async (req, res) => {
       return res.status(404).json({ error: "Retinal image not found." });
     }
 
-    if (retinalImage.uploadedBy.toString() !== req.user.id) {
+    // Other doctors may read images shared with them through a consult
+    if (
+      retinalImage.uploadedBy.toString() !== req.user.id &&
+      !(await canReadPatientRecord(req.user, {
+        patientId: retinalImage.patientId?._id,
+        retinalImageId: retinalImage._id,
+        details: "retinal image",
+      }))
+    ) {
       return res.status(403).json({ error: "Unauthorized access." });
     }
 
     res.json({
       message: "Retinal image retrieved successfully.",
-      data: retinalImage,
+      data: withImageUrls(retinalImage),
     });
   } catch (error) {
     console.error("Get retinal image error:", error);
@@ -200,13 +309,20 @@ const getRetinalImagesByPatient = async (req, res) => {
     if (!patient) {
       return res.status(404).json({ error: "Patient not found." });
     }
-    if (patient.doctorId.toString() !== req.user.id) {
+    if (
+      !(await canReadPatientRecord(req.user, {
+        doctorId: patient.doctorId,
+        patientId: patient._id,
+        details: "patient images",
+      }))
+    ) {
       return res.status(403).json({ error: "Unauthorized access." });
     }
 
     const retinalImages = await RetinalImage.find({
       patientId,
-      uploadedBy: req.user.id, // Filter by authenticated doctor
+      uploadedBy: patient.doctorId, // Images uploaded by the patient's doctor, also for consultants
+      ...(req.query.eye && { eye: req.query.eye }),
     }).populate({
       path: "uploadedBy",
       select: "name",
@@ -214,7 +330,7 @@ const getRetinalImagesByPatient = async (req, res) => {
 
     res.json({
       message: "Retinal images retrieved successfully.",
-      data: retinalImages,
+      data: retinalImages.map(withImageUrls),
     });
   } catch (error) {
     console.error("Get retinal images by patient error:", error);
@@ -233,7 +349,7 @@ const updateRetinalImage = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { patientId } = req.body;
+    const { patientId, visitId, eye, captureDevice, fieldOfView, capturedAt } = req.body;
 
     const retinalImage = await RetinalImage.findById(id).populate({
       path: "patientId",
@@ -248,6 +364,7 @@ const updateRetinalImage = async (req, res) => {
       return res.status(403).json({ error: "Unauthorized access." });
     }
 
+    const previousPatientId = retinalImage.patientId?._id;
     if (patientId) {
       const newPatient = await Patient.findById(patientId);
       if (!newPatient) {
@@ -259,11 +376,39 @@ const updateRetinalImage = async (req, res) => {
       retinalImage.patientId = patientId;
     }
 
+    // A visit belongs to one patient, so moving the image drops its visit unless a new one is given
+    const previousVisitId = retinalImage.visitId?.toString();
+    if (visitId) {
+      if (!(await findPatientVisit(visitId, patientId || previousPatientId))) {
+        return res.status(404).json({ error: "Visit not found for this patient." });
+      }
+      retinalImage.visitId = visitId;
+    } else if (visitId === null || (patientId && patientId !== previousPatientId?.toString())) {
+      retinalImage.visitId = undefined;
+    }
+
+    if (eye !== undefined) retinalImage.eye = eye;
+    if (captureDevice !== undefined) retinalImage.captureDevice = captureDevice;
+    if (fieldOfView !== undefined) retinalImage.fieldOfView = fieldOfView;
+    if (capturedAt !== undefined) retinalImage.capturedAt = capturedAt;
+
     await retinalImage.save();
 
+    if (retinalImage.visitId?.toString() !== previousVisitId) {
+      await setImagesVisit([retinalImage._id], retinalImage.visitId || null);
+    }
+
+    // The eye, capture date and patient decide where the image sits in the timeline
+    if (previousPatientId) {
+      await refreshProgressionFlag(previousPatientId);
+    }
+    if (patientId && patientId !== previousPatientId?.toString()) {
+      await refreshProgressionFlag(patientId);
+    }
+
     res.json({
       message: "Retinal image updated successfully.",
-      data: retinalImage,
+      data: withImageUrls(retinalImage),
     });
   } catch (error) {
     console.error("Update retinal image error:", error);
@@ -300,14 +445,10 @@ const deleteRetinalImage = async (req, res) => {
       });
     }
 
-    try {
-      await fs.unlink(path.join(__dirname, "..", retinalImage.originalImagePath));
-      if (retinalImage.yoloOutputPath) {
-        await fs.unlink(path.join(__dirname, "..", retinalImage.yoloOutputPath));
-      }
-    } catch (fileError) {
-      console.error("Error deleting image files:", fileError);
-    }
+    await removeFile(retinalImage.originalImagePath);
+    await removeFile(retinalImage.yoloOutputPath);
+    await removeFile(retinalImage.dicom?.archivePath);
+    await removeDerivatives(retinalImage.derivatives);
 
     await RetinalImage.deleteOne({ _id: id });
 
@@ -334,6 +475,7 @@ const getRetinalImageCount = async (req, res) => {
 
 module.exports = {
   uploadRetinalImage,
+  bulkUploadRetinalImages,
   getRetinalImages,
   getRetinalImageById,
   getRetinalImagesByPatient,
@@ -341,6 +483,7 @@ module.exports = {
   deleteRetinalImage,
   getRetinalImageCount,
   validateUploadRetinalImage,
+  validateBulkUpload,
   validateRetinalImageId,
   validateUpdateRetinalImage,
   validatePatientId,
@@ -0,0 +1,34 @@
+const { getStream } = require("../services/storageService");
+
+// Stream a stored file (original, derivative, YOLO output) from the configured storage driver.
+// uploadAccess has already checked the request and set req.storageKey.
+const serveUpload = async (req, res) => {
+  try {
+    const file = await getStream(req.storageKey);
+    res.type(file.contentType);
+    if (file.size !== undefined) {
+      res.set("Content-Length", String(file.size));
+    }
+    if (file.lastModified) {
+      res.set("Last-Modified", new Date(file.lastModified).toUTCString());
+    }
+    // Patient images may be cached by the browser but never by shared caches
+    res.set("Cache-Control", "private, max-age=300");
+
+    file.stream.on("error", (streamError) => {
+      console.error("Serve upload stream error:", streamError);
+      res.destroy(streamError);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: "File not found." });
+    }
+    console.error("Serve upload error:", error);
+    res.status(500).json({ error: `Failed to fetch file: ${error.message}` });
+  }
+};
+
+module.exports = {
+  serveUpload,
+};
@@ -0,0 +1,357 @@
+const { body, param, query, validationResult } = require("express-validator");
+const Visit = require("../models/Visit");
+const Patient = require("../models/Patient");
+const RetinalImage = require("../models/RetinalImage");
+const Diagnosis = require("../models/Diagnosis");
+const Recommendation = require("../models/Recommendation");
+const { setImagesVisit } = require("../services/visitService");
+const { canReadPatientRecord } = require("../services/accessService");
+const { snellenToLogMAR } = require("../utils/visualAcuity");
+const { withImageUrls } = require("../utils/imageUrls");
+
+// Validation for the measurements of one eye ("right" or "left")
+const validateEyeExam = (eye) => [
+  body(eye).optional({ values: "null" }).isObject().withMessage(`${eye} must be an object`),
+  body(`${eye}.sphericalEquivalent`)
+    .optional({ values: "null" })
+    .isFloat({ min: -40, max: 20 })
+    .toFloat()
+    .withMessage(`${eye}.sphericalEquivalent must be between -40 and +20 dioptres`),
+  body(`${eye}.axialLength`)
+    .optional({ values: "null" })
+    .isFloat({ min: 15, max: 40 })
+    .toFloat()
+    .withMessage(`${eye}.axialLength must be between 15 and 40 mm`),
+  body(`${eye}.visualAcuity.logMAR`)
+    .optional({ values: "null" })
+    .isFloat({ min: -0.5, max: 3 })
+    .toFloat()
+    .withMessage(`${eye}.visualAcuity.logMAR must be between -0.5 and 3`),
+  body(`${eye}.visualAcuity.snellen`)
+    .optional({ values: "null" })
+    .custom((value) => snellenToLogMAR(value) !== null)
+    .withMessage(`${eye}.visualAcuity.snellen must be a fraction such as 6/12 or 20/40`)
+    .bail()
+    // The logMAR it converts to must fit the same range as a logMAR that is sent
+    .custom((value) => {
+      const logMAR = snellenToLogMAR(value);
+      return logMAR >= -0.5 && logMAR <= 3;
+    })
+    .withMessage(`${eye}.visualAcuity.snellen must convert to a logMAR between -0.5 and 3`),
+  body(`${eye}.visualAcuity.correction`)
+    .optional({ values: "null" })
+    .isIn(["uncorrected", "corrected"])
+    .withMessage(`${eye}.visualAcuity.correction must be uncorrected or corrected`),
+  body(`${eye}.iop`)
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 80 })
+    .toFloat()
+    .withMessage(`${eye}.iop must be between 0 and 80 mmHg`),
+];
+
+const validateVisitFields = [
+  body("visitDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid visit date")
+    .custom((value) => value <= new Date())
+    .withMessage("Visit date cannot be in the future"),
+  body("reason").optional().trim().isLength({ max: 200 }).withMessage("Reason must be 200 characters or less"),
+  body("notes").optional().trim().isLength({ max: 2000 }).withMessage("Notes must be 2000 characters or less"),
+  ...validateEyeExam("right"),
+  ...validateEyeExam("left"),
+  body("retinalImageIds").optional().isArray().withMessage("retinalImageIds must be a list of IDs"),
+  body("retinalImageIds.*").isMongoId().withMessage("Invalid retinal image ID"),
+];
+
+// Input validation
+const validateCreateVisit = [
+  body("patientId").isMongoId().withMessage("Invalid patient ID"),
+  ...validateVisitFields,
+];
+
+const validateUpdateVisit = [
+  param("id").isMongoId().withMessage("Invalid visit ID"),
+  ...validateVisitFields,
+];
+
+const validateVisitId = [
+  param("id").isMongoId().withMessage("Invalid visit ID"),
+];
+
+const validateFetchVisits = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Invalid page number"),
+  query("limit").optional().isInt({ min: 1 }).withMessage("Invalid limit"),
+  query("patientId").optional().isMongoId().withMessage("Invalid patient ID"),
+];
+
+// Keep the recorded Snellen value and fill in logMAR from it when not given
+const toEyeExam = (exam) => {
+  if (!exam) return exam;
+  const visualAcuity = exam.visualAcuity && { ...exam.visualAcuity };
+  if (visualAcuity?.snellen && visualAcuity.logMAR == null) {
+    visualAcuity.logMAR = snellenToLogMAR(visualAcuity.snellen);
+  }
+  return {
+    sphericalEquivalent: exam.sphericalEquivalent,
+    axialLength: exam.axialLength,
+    visualAcuity,
+    iop: exam.iop,
+  };
+};
+
+// Check that every image belongs to the patient; returns the IDs of any that do not
+const findForeignImages = async (retinalImageIds, patientId) => {
+  const images = await RetinalImage.find({ _id: { $in: retinalImageIds }, patientId }).select("_id");
+  const owned = new Set(images.map((img) => img._id.toString()));
+  return retinalImageIds.filter((id) => !owned.has(id));
+};
+
+// Create a visit for a patient
+const createVisit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { patientId, visitDate, reason, notes, right, left, retinalImageIds = [] } = req.body;
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found." });
+    }
+    if (patient.doctorId.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const foreignImages = await findForeignImages(retinalImageIds, patientId);
+    if (foreignImages.length > 0) {
+      return res.status(400).json({
+        error: "Some retinal images do not belong to this patient.",
+        retinalImageIds: foreignImages,
+      });
+    }
+
+    const visit = await Visit.create({
+      patientId,
+      doctorId: req.user.id,
+      visitDate,
+      reason,
+      notes,
+      right: toEyeExam(right),
+      left: toEyeExam(left),
+    });
+    await setImagesVisit(retinalImageIds, visit._id);
+
+    res.status(201).json({
+      message: "Visit created successfully.",
+      data: visit,
+    });
+  } catch (error) {
+    console.error("Create visit error:", error);
+    res.status(500).json({
+      error: `Failed to create visit: ${error.message}`,
+    });
+  }
+};
+
+// Get visits for the logged-in doctor, newest first, or the visits of one patient, which
+// consultants on the patient can list too
+const getVisits = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, patientId } = req.query;
+
+    const query = { doctorId: req.user.id };
+    if (patientId) {
+      const patient = await Patient.findById(patientId).select("doctorId").lean();
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found." });
+      }
+      if (
+        !(await canReadPatientRecord(req.user, {
+          doctorId: patient.doctorId,
+          patientId: patient._id,
+          details: "patient visits",
+        }))
+      ) {
+        return res.status(403).json({ error: "Unauthorized access." });
+      }
+      query.doctorId = patient.doctorId;
+      query.patientId = patient._id;
+    }
+
+    const visits = await Visit.find(query)
+      .populate("patientId", "name patientCode")
+      .sort({ visitDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+    const total = await Visit.countDocuments(query);
+
+    res.json({
+      message: "Visits retrieved successfully.",
+      data: visits,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error("Get visits error:", error);
+    res.status(500).json({
+      error: `Failed to fetch visits: ${error.message}`,
+    });
+  }
+};
+
+// Get a visit with the images captured at it and their diagnoses
+const getVisitById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const visit = await Visit.findById(req.params.id).populate("patientId", "name patientCode doctorId").lean();
+    if (!visit) {
+      return res.status(404).json({ error: "Visit not found." });
+    }
+    if (
+      !(await canReadPatientRecord(req.user, {
+        doctorId: visit.doctorId,
+        patientId: visit.patientId?._id,
+        details: "visit",
+      }))
+    ) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const [retinalImages, diagnoses, recommendations] = await Promise.all([
+      RetinalImage.find({ visitId: visit._id }).sort({ uploadedAt: 1 }).lean(),
+      Diagnosis.find({ visitId: visit._id, isCurrent: { $ne: false } })
+        .select("retinalImageId severityLevel severityConfidence review diagnosedAt")
+        .lean(),
+      Recommendation.find({ visitId: visit._id }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    res.json({
+      message: "Visit retrieved successfully.",
+      data: {
+        ...visit,
+        retinalImages: retinalImages.map(withImageUrls),
+        diagnoses,
+        recommendations,
+      },
+    });
+  } catch (error) {
+    console.error("Get visit error:", error);
+    res.status(500).json({
+      error: `Failed to fetch visit: ${error.message}`,
+    });
+  }
+};
+
+// Update a visit. retinalImageIds, when given, replaces the list of linked images.
+const updateVisit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { visitDate, reason, notes, right, left, retinalImageIds } = req.body;
+
+    const visit = await Visit.findById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({ error: "Visit not found." });
+    }
+    if (visit.doctorId.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    if (retinalImageIds) {
+      const foreignImages = await findForeignImages(retinalImageIds, visit.patientId);
+      if (foreignImages.length > 0) {
+        return res.status(400).json({
+          error: "Some retinal images do not belong to this patient.",
+          retinalImageIds: foreignImages,
+        });
+      }
+    }
+
+    if (visitDate !== undefined) visit.visitDate = visitDate;
+    if (reason !== undefined) visit.reason = reason;
+    if (notes !== undefined) visit.notes = notes;
+    // Each eye's exam is replaced as a whole; null clears it
+    if (right !== undefined) visit.right = toEyeExam(right);
+    if (left !== undefined) visit.left = toEyeExam(left);
+    await visit.save();
+
+    if (retinalImageIds) {
+      const linked = await RetinalImage.find({ visitId: visit._id }).select("_id");
+      const unlinked = linked.map((img) => img._id.toString()).filter((id) => !retinalImageIds.includes(id));
+      await setImagesVisit(unlinked, null);
+      await setImagesVisit(retinalImageIds, visit._id);
+    }
+
+    res.json({
+      message: "Visit updated successfully.",
+      data: visit,
+    });
+  } catch (error) {
+    console.error("Update visit error:", error);
+    res.status(500).json({
+      error: `Failed to update visit: ${error.message}`,
+    });
+  }
+};
+
+// Delete a visit; its images, diagnoses and recommendations are kept but unlinked
+const deleteVisit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const visit = await Visit.findById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({ error: "Visit not found." });
+    }
+    if (visit.doctorId.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Unauthorized access." });
+    }
+
+    const linked = await RetinalImage.find({ visitId: visit._id }).select("_id");
+    await setImagesVisit(
+      linked.map((img) => img._id),
+      null
+    );
+    await Recommendation.updateMany({ visitId: visit._id }, { $unset: { visitId: "" } });
+    await Visit.deleteOne({ _id: visit._id });
+
+    res.json({ message: "Visit deleted successfully." });
+  } catch (error) {
+    console.error("Delete visit error:", error);
+    res.status(500).json({
+      error: `Failed to delete visit: ${error.message}`,
+    });
+  }
+};
+
+module.exports = {
+  createVisit,
+  getVisits,
+  getVisitById,
+  updateVisit,
+  deleteVisit,
+  validateCreateVisit,
+  validateUpdateVisit,
+  validateVisitId,
+  validateFetchVisits,
+};
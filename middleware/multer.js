@@ -1,29 +1,35 @@
 // middleware/multer.js
 const multer = require("multer");
+const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
+// Uploads land in a temporary directory; controllers move them into storage once processed
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "myopia-uploads");
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, "..", "uploads", "input");
-    cb(null, uploadPath);
+    fs.mkdir(UPLOAD_TMP_DIR, { recursive: true }, (error) => cb(error, UPLOAD_TMP_DIR));
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`
-    );
+    cb(null, `${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
   },
 });
 
+// Browsers often send DICOM as application/octet-stream, so fall back to the extension
+const isDicomUpload = (file) =>
+  file.mimetype === "application/dicom" ||
+  (file.mimetype === "application/octet-stream" && /\.dcm$/i.test(file.originalname));
+
 // File filter for image types
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ["image/jpeg", "image/png"];
-  if (allowedTypes.includes(file.mimetype)) {
+  const allowedTypes = ["image/jpeg", "image/png", "image/jpg"];
+  if (allowedTypes.includes(file.mimetype) || isDicomUpload(file)) {
     cb(null, true);
   } else {
-    cb(new Error("Only JPEG or PNG images are allowed."), false);
+    cb(new Error("Invalid file type. Only JPEG, PNG and DICOM are allowed."), false);
   }
 };
 
@@ -31,7 +37,36 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage,
   fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  // DICOM files carry uncompressed pixel data; JPEG/PNG are held to 5MB in the controller
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+});
+
+const BULK_MAX_FILES = parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 500;
+const BULK_MAX_SIZE = (parseInt(process.env.BULK_UPLOAD_MAX_SIZE_MB) || 200) * 1024 * 1024;
+
+// Bulk uploads take images, a ZIP archive and a CSV/JSON manifest in separate fields
+const bulkFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (file.fieldname === "images") {
+    return fileFilter(req, file, cb);
+  }
+  if (file.fieldname === "archive" && (file.mimetype.includes("zip") || extension === ".zip")) {
+    return cb(null, true);
+  }
+  if (file.fieldname === "manifest" && [".csv", ".json"].includes(extension)) {
+    return cb(null, true);
+  }
+  cb(new Error(`Unexpected file ${file.originalname} in field ${file.fieldname}.`), false);
+};
+
+const bulkUpload = multer({
+  storage,
+  fileFilter: bulkFileFilter,
+  limits: { fileSize: BULK_MAX_SIZE, files: BULK_MAX_FILES + 2 },
 });
 
-module.exports = upload;
\ No newline at end of file
+module.exports = {
+  upload,
+  bulkUpload,
+  BULK_MAX_FILES,
+};
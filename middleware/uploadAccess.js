@@ -0,0 +1,40 @@
+const authMiddleware = require("./auth");
+const { canAccessUpload } = require("../services/accessService");
+const { toStorageKey } = require("../services/storageService");
+const { verifyUploadSignature } = require("../utils/imageUrls");
+
+// Stored files need either a signed URL issued by the API or a JWT for a user
+// who may see the file's patient
+const uploadAccess = (req, res, next) => {
+  try {
+    req.storageKey = toStorageKey(["uploads", ...req.params.key].join("/"));
+  } catch {
+    return res.status(404).json({ error: "File not found." });
+  }
+
+  const { expires, signature } = req.query;
+  if (signature !== undefined) {
+    if (!verifyUploadSignature(req.storageKey, expires, signature)) {
+      return res.status(403).json({ error: "Invalid or expired image link." });
+    }
+    return next();
+  }
+
+  authMiddleware(req, res, async () => {
+    try {
+      const allowed = await canAccessUpload(req.storageKey, req.user);
+      if (allowed === null) {
+        return res.status(404).json({ error: "File not found." });
+      }
+      if (!allowed) {
+        return res.status(403).json({ error: "Unauthorized access." });
+      }
+      next();
+    } catch (error) {
+      console.error("Upload access error:", error);
+      res.status(500).json({ error: `Failed to check file access: ${error.message}` });
+    }
+  });
+};
+
+module.exports = uploadAccess;
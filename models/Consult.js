@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// A consultant's answer to the question
+const opinionSchema = new mongoose.Schema({
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  text: { type: String, required: true, trim: true },
+  // The severity the consultant would give, if they disagree with or want to confirm it
+  suggestedSeverity: {
+    type: String,
+    enum: ["normal", "low", "medium", "high", "severe"],
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Audit trail of everything that happened to the share
+const consultEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["created", "viewed", "opinion_added", "revoked"],
+      required: true,
+    },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // What was viewed, or the revocation reason
+    details: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A doctor sharing a patient, or one diagnosis, with a colleague for a second opinion.
+// The consultant can read the shared records until the consult expires or is revoked.
+const consultSchema = new mongoose.Schema(
+  {
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    consultantId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    scope: { type: String, enum: ["patient", "diagnosis"], required: true },
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+    // Set for diagnosis consults, which also share the diagnosis's retinal image
+    diagnosisId: { type: mongoose.Schema.Types.ObjectId, ref: "Diagnosis" },
+    retinalImageId: { type: mongoose.Schema.Types.ObjectId, ref: "RetinalImage" },
+    question: { type: String, required: true, trim: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revokeReason: { type: String, trim: true },
+    opinions: [opinionSchema],
+    // Consultant views are logged at most once every 15 minutes
+    lastViewedAt: Date,
+    events: [consultEventSchema],
+  },
+  { timestamps: true }
+);
+
+consultSchema.index({ consultantId: 1, patientId: 1, expiresAt: 1 });
+consultSchema.index({ requestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Consult", consultSchema);
@@ -1,4 +1,61 @@
 const mongoose = require("mongoose");
+const { META_PM_CATEGORIES, deriveMetaPm } = require("../utils/metaPm");
+
+// Which model produced a result, how long it took and what it returned
+const inferenceProvenanceSchema = new mongoose.Schema(
+  {
+    provider: String,
+    modelName: String,
+    modelVersion: String,
+    endpoint: String,
+    metadata: mongoose.Schema.Types.Mixed,
+    latencyMs: Number,
+    rawResponse: mongoose.Schema.Types.Mixed,
+    inferredAt: Date,
+    // True when the result was reused from the inference cache
+    cacheHit: { type: Boolean, default: false },
+    cachedAt: Date,
+  },
+  { _id: false }
+);
+
+// A lesion box as corrected by clinicians. Model boxes are copied in on the first edit so
+// yoloDetections always keeps the untouched model output.
+const annotationSchema = new mongoose.Schema({
+  source: { type: String, enum: ["model", "clinician"], required: true },
+  // The yoloDetections entry a model box was copied from
+  detectionId: { type: mongoose.Schema.Types.ObjectId },
+  label: { type: String, required: true, trim: true },
+  confidence: Number,
+  boundingBox: {
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  updatedAt: Date,
+  // Deleted boxes are kept so the history of corrections is not lost
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  deletedAt: Date,
+});
+
+// A doctor's decision on the AI severity
+const reviewDecisionSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["confirmed", "overridden"] },
+    finalSeverity: {
+      type: String,
+      enum: ["normal", "low", "medium", "high", "severe"],
+    },
+    reason: { type: String, trim: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+  },
+  { _id: false }
+);
 
 const diagnosisSchema = new mongoose.Schema({
   retinalImageId: {
@@ -6,6 +63,11 @@ const diagnosisSchema = new mongoose.Schema({
     ref: "RetinalImage",
     required: true,
   },
+  // Copied from the retinal image so diagnoses can be listed per visit
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Visit",
+  },
   yoloDetections: [
     {
       label: String,
@@ -18,12 +80,121 @@ const diagnosisSchema = new mongoose.Schema({
       },
     },
   ],
+  // Empty until a clinician first corrects the boxes
+  annotations: [annotationSchema],
   severityLevel: {
     type: String,
     enum: ["normal", "low", "medium", "high", "severe"],
   },
+  // Per-class probabilities from the classifier, when it reports them
+  severityProbabilities: { type: Map, of: Number },
+  severityConfidence: { type: Number },
+  // severityLevel is always the AI's call; review.finalSeverity is the doctor's
+  review: {
+    status: {
+      type: String,
+      enum: ["pending_review", "confirmed", "overridden"],
+      default: "pending_review",
+    },
+    finalSeverity: {
+      type: String,
+      enum: ["normal", "low", "medium", "high", "severe"],
+    },
+    reason: { type: String, trim: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    // Earlier decisions, oldest first, when a diagnosis is reviewed again
+    history: [reviewDecisionSchema],
+  },
+  // META-PM category and plus lesions derived from the final severity and the boxes
+  metaPm: {
+    category: { type: String, enum: META_PM_CATEGORIES },
+    plusLesions: {
+      lacquerCracks: Boolean,
+      cnv: Boolean,
+      fuchsSpot: Boolean,
+    },
+    plus: Boolean,
+    mappingVersion: String,
+    derivedAt: Date,
+  },
+  // Outcome of the referral rules; "none" when no rule matched
+  referral: {
+    urgency: { type: String, enum: ["none", "routine", "soon", "urgent"] },
+    reason: String,
+    // The rule that decided the urgency
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "ReferralRule" },
+    matchedRules: [
+      {
+        _id: false,
+        ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "ReferralRule" },
+        name: String,
+        urgency: String,
+        reason: String,
+      },
+    ],
+    evaluatedAt: Date,
+  },
+  // Set when severityConfidence is below the threshold in force at diagnosis time
+  needsReview: { type: Boolean, default: false },
+  confidenceThreshold: { type: Number },
+  // The image the models ran on; detection boxes are in its pixel coordinates
+  inferenceInput: {
+    path: String,
+    width: Number,
+    height: Number,
+  },
+  // Local copy of the annotated image returned by the YOLO endpoint
+  yoloOutput: {
+    path: String,
+    checksum: String,
+    size: Number,
+    contentType: String,
+    sourceUrl: String,
+    downloadedAt: Date,
+  },
+  provenance: {
+    detection: inferenceProvenanceSchema,
+    classification: inferenceProvenanceSchema,
+  },
   notes: { type: String },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DiagnosisJob",
+  },
+  // Re-running inference adds a new revision; only the latest one is current
+  revision: { type: Number, default: 1 },
+  isCurrent: { type: Boolean, default: true },
+  previousRevisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Diagnosis",
+  },
+  supersededAt: { type: Date },
   diagnosedAt: { type: Date, default: Date.now },
 });
 
+diagnosisSchema.index({ retinalImageId: 1, revision: -1 });
+diagnosisSchema.index({ needsReview: 1, severityConfidence: 1 });
+diagnosisSchema.index({ "review.status": 1 });
+diagnosisSchema.index({ visitId: 1 });
+diagnosisSchema.index({ "metaPm.category": 1, "metaPm.plus": 1 });
+diagnosisSchema.index({ "referral.urgency": 1 });
+
+diagnosisSchema.index({ "provenance.detection.modelVersion": 1 });
+diagnosisSchema.index({ "provenance.classification.modelVersion": 1 });
+
+// Re-derive the META-PM classification whenever its inputs change
+diagnosisSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("severityLevel") ||
+    this.isModified("review") ||
+    this.isModified("yoloDetections") ||
+    this.isModified("annotations")
+  ) {
+    this.metaPm = deriveMetaPm(this);
+  }
+  next();
+});
+
 module.exports = mongoose.model("Diagnosis", diagnosisSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// A group of diagnosis jobs queued together; progress is read from the jobs themselves
+const diagnosisBatchSchema = new mongoose.Schema(
+  {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    scope: {
+      type: {
+        type: String,
+        enum: ["patient", "images", "undiagnosed"],
+        required: true,
+      },
+      patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Patient",
+      },
+    },
+    total: { type: Number, default: 0 },
+    // Images that were requested but not queued, with the reason
+    skipped: [
+      {
+        _id: false,
+        retinalImageId: { type: mongoose.Schema.Types.ObjectId, ref: "RetinalImage" },
+        reason: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DiagnosisBatch", diagnosisBatchSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const diagnosisJobSchema = new mongoose.Schema(
+  {
+    retinalImageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RetinalImage",
+      required: true,
+      index: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    notes: { type: String },
+    // Set when the job re-runs inference and adds a revision to this diagnosis
+    supersedesDiagnosisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Diagnosis",
+    },
+    // Force fresh inference instead of reusing cached results
+    skipCache: { type: Boolean, default: false },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DiagnosisBatch",
+      index: true,
+    },
+    // Higher runs first, so single requests are not stuck behind a large batch
+    priority: { type: Number, default: 1 },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed"],
+      default: "queued",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    error: { type: String },
+    diagnosisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Diagnosis",
+    },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DiagnosisJob", diagnosisJobSchema);
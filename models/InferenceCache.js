@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const CACHE_TTL_DAYS = parseInt(process.env.INFERENCE_CACHE_TTL_DAYS) || 90;
+
+// Model output keyed by image content and the exact model that produced it
+const inferenceCacheSchema = new mongoose.Schema({
+  contentHash: { type: String, required: true },
+  task: { type: String, enum: ["detection", "classification"], required: true },
+  provider: { type: String, required: true },
+  endpoint: { type: String },
+  modelVersion: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  provenance: { type: mongoose.Schema.Types.Mixed },
+  // The annotated image stored for a detection result, so a cache hit never re-downloads its URL
+  yoloOutput: {
+    path: { type: String },
+    checksum: { type: String },
+    size: { type: Number },
+    contentType: { type: String },
+    sourceUrl: { type: String },
+    downloadedAt: { type: Date },
+  },
+  createdAt: { type: Date, default: Date.now, expires: CACHE_TTL_DAYS * 24 * 60 * 60 },
+});
+
+inferenceCacheSchema.index(
+  { contentHash: 1, task: 1, provider: 1, endpoint: 1, modelVersion: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("InferenceCache", inferenceCacheSchema);
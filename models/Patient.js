@@ -4,6 +4,8 @@ const mongoose = require('mongoose');
 const patientSchema = new mongoose.Schema({
   doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   name: { type: String, required: true, trim: true },
+  // Clinic or screening-camp identifier, used to match bulk-uploaded files to patients
+  patientCode: { type: String, trim: true },
   gender: { type: String, enum: ['male', 'female', 'other'], required: true },
   dateOfBirth: { type: Date },
   contactInfo: {
@@ -11,10 +13,29 @@ const patientSchema = new mongoose.Schema({
     phone: { type: String, trim: true },
   },
   address: { type: String, trim: true },
+  // Set when the latest examination of an eye is worse than the one before
+  progression: {
+    flagged: { type: Boolean, default: false },
+    eyes: [{ type: String, enum: ['left', 'right'] }],
+    reasons: [String],
+    evaluatedAt: Date,
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// Codes are unique per doctor, ignoring case
+patientSchema.index(
+  { doctorId: 1, patientCode: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { patientCode: { $type: 'string' } },
+    collation: { locale: 'en', strength: 2 },
+  }
+);
+
+patientSchema.index({ doctorId: 1, 'progression.flagged': 1 });
+
 patientSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
@@ -11,6 +11,10 @@ const recommendationSchema = new mongoose.Schema({
     ref: "Patient",
     required: true,
   },
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Visit",
+  },
   recommendationText: {
     type: String,
     required: true,
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+const { META_PM_CATEGORIES, PLUS_LESIONS } = require("../utils/metaPm");
+
+// A referral rule matches a diagnosis when every condition it sets holds. Conditions that
+// are not set are ignored.
+const referralRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String, trim: true },
+    enabled: { type: Boolean, default: true },
+    // Breaks ties between matching rules of the same urgency; higher wins
+    priority: { type: Number, default: 0 },
+    urgency: { type: String, enum: ["routine", "soon", "urgent"], required: true },
+    // Shown to the doctor when the rule decides the referral
+    reason: { type: String, required: true, trim: true },
+    conditions: {
+      // Final severity is one of these
+      severities: [{ type: String, enum: SEVERITY_LEVELS }],
+      // Final severity is at least this
+      minSeverity: { type: String, enum: SEVERITY_LEVELS },
+      // Any of these lesion labels was detected
+      labels: [String],
+      // Model boxes for those labels must reach this confidence
+      minLabelConfidence: { type: Number, min: 0, max: 1 },
+      // Classifier confidence is at most this, for uncertain cases
+      maxSeverityConfidence: { type: Number, min: 0, max: 1 },
+      // Patient age in years when the image was taken
+      minAge: { type: Number, min: 0 },
+      maxAge: { type: Number, min: 0 },
+      // The image's eye is (true) or is not (false) flagged as progressing
+      progressing: Boolean,
+      metaPmCategories: [{ type: String, enum: META_PM_CATEGORIES }],
+      // Any of these plus lesions is present
+      plusLesions: [{ type: String, enum: PLUS_LESIONS }],
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+referralRuleSchema.index({ enabled: 1, priority: -1 });
+
+module.exports = mongoose.model("ReferralRule", referralRuleSchema);
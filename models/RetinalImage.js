@@ -12,8 +12,115 @@ const retinalImageSchema = new mongoose.Schema({
     required: true,
   },
   originalImagePath: { type: String, required: true },
+  // The visit the image was captured at
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Visit",
+  },
+  // Myopia is graded per eye
+  eye: { type: String, enum: ["left", "right"] },
+  captureDevice: { type: String, trim: true },
+  // Angular field of view of the camera, in degrees
+  fieldOfView: { type: Number, min: 1, max: 220 },
+  // When the photo was taken, as opposed to uploadedAt
+  capturedAt: { type: Date },
+  // The original as stored after orientation was applied and metadata stripped
+  originalMetadata: {
+    format: String,
+    width: Number,
+    height: Number,
+    size: Number,
+    sourceOrientation: Number,
+    metadataStripped: Boolean,
+    // The ICC profile is kept, not stripped
+    iccProfile: Boolean,
+    // Whether the pixels were re-encoded (PNGs losslessly, rotated JPEGs lossily)
+    reencoded: Boolean,
+  },
+  derivatives: {
+    // The upload before rotation, metadata stripped without re-encoding; only kept for rotated JPEGs
+    source: {
+      path: String,
+      width: Number,
+      height: Number,
+      format: String,
+      size: Number,
+    },
+    // Size-capped sRGB copy sent to the models
+    normalized: {
+      path: String,
+      width: Number,
+      height: Number,
+      format: String,
+      size: Number,
+    },
+    thumbnails: [
+      {
+        _id: false,
+        path: String,
+        width: Number,
+        height: Number,
+        format: String,
+        size: Number,
+        maxSize: Number,
+      },
+    ],
+    processedAt: Date,
+  },
+  // Set when the upload was a DICOM file; originalImagePath then holds the extracted image
+  dicom: {
+    archivePath: String,
+    transferSyntaxUid: String,
+    sopClassUid: String,
+    sopInstanceUid: String,
+    studyInstanceUid: String,
+    seriesInstanceUid: String,
+    modality: String,
+    patientName: String,
+    patientId: String,
+    laterality: { type: String, enum: ["left", "right", "both"] },
+    acquisitionDate: Date,
+    manufacturer: String,
+    manufacturerModelName: String,
+    deviceSerialNumber: String,
+    stationName: String,
+    horizontalFieldOfView: Number,
+    rows: Number,
+    columns: Number,
+  },
+  // SHA-256 of the uploaded file, used to spot duplicates and reuse inference results
+  contentHash: { type: String },
   yoloOutputPath: { type: String },
+  // Result of the upload quality gate
+  quality: {
+    score: Number,
+    gradable: Boolean,
+    reasons: [String],
+    checks: {
+      resolution: Boolean,
+      sharpness: Boolean,
+      exposure: Boolean,
+      fieldOfView: Boolean,
+    },
+    metrics: {
+      width: Number,
+      height: Number,
+      blurVariance: Number,
+      meanBrightness: Number,
+      clippedRatio: Number,
+      fovCoverage: Number,
+      cornerDarkness: Number,
+    },
+    assessedAt: Date,
+  },
   uploadedAt: { type: Date, default: Date.now },
 });
 
+retinalImageSchema.index({ patientId: 1, contentHash: 1 });
+retinalImageSchema.index({ patientId: 1, eye: 1 });
+retinalImageSchema.index({ visitId: 1 });
+// Looked up when authorising requests for stored files
+retinalImageSchema.index({ originalImagePath: 1 });
+retinalImageSchema.index({ "derivatives.thumbnails.path": 1 });
+
 module.exports = mongoose.model("RetinalImage", retinalImageSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Measurements for one eye at a visit
+const eyeExamSchema = new mongoose.Schema(
+  {
+    // Spherical equivalent refraction, in dioptres
+    sphericalEquivalent: { type: Number, min: -40, max: 20 },
+    // Axial length, in millimetres
+    axialLength: { type: Number, min: 15, max: 40 },
+    visualAcuity: {
+      logMAR: { type: Number, min: -0.5, max: 3 },
+      // As recorded, e.g. "6/12" or "20/40"
+      snellen: { type: String, trim: true },
+      correction: { type: String, enum: ["uncorrected", "corrected"] },
+    },
+    // Intraocular pressure, in mmHg
+    iop: { type: Number, min: 0, max: 80 },
+  },
+  { _id: false }
+);
+
+const visitSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    visitDate: { type: Date, required: true, default: Date.now },
+    reason: { type: String, trim: true },
+    notes: { type: String, trim: true },
+    right: eyeExamSchema,
+    left: eyeExamSchema,
+  },
+  { timestamps: true }
+);
+
+visitSchema.index({ patientId: 1, visitDate: -1 });
+
+module.exports = mongoose.model("Visit", visitSchema);
@@ -0,0 +1,24 @@
+// backend/routes/consultRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  createConsult,
+  getConsults,
+  getConsultById,
+  addOpinion,
+  revokeConsult,
+  validateCreateConsult,
+  validateConsultId,
+  validateFetchConsults,
+  validateAddOpinion,
+  validateRevokeConsult,
+} = require("../controllers/consultController");
+const authMiddleware = require("../middleware/auth");
+
+router.post("/", authMiddleware, validateCreateConsult, createConsult);
+router.get("/", authMiddleware, validateFetchConsults, getConsults);
+router.get("/:id", authMiddleware, validateConsultId, getConsultById);
+router.post("/:id/opinions", authMiddleware, validateAddOpinion, addOpinion);
+router.post("/:id/revoke", authMiddleware, validateRevokeConsult, revokeConsult);
+
+module.exports = router;
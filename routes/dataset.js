@@ -0,0 +1,9 @@
+// backend/routes/datasetRoutes.js
+const express = require("express");
+const router = express.Router();
+const { exportDataset, validateExportDataset } = require("../controllers/datasetController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/export", authMiddleware, validateExportDataset, exportDataset);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const upload = require("../utils/multerConfig");
+const { upload } = require("../middleware/multer");
 const diagnoseController = require("../controllers/diagnose.controller");
 
 // POST - Upload image and run diagnosis
@@ -3,10 +3,16 @@ const express = require("express");
 const router = express.Router();
 const {
   createDiagnosis,
+  getDiagnosisJob,
   getDiagnoses,
   getDiagnosisById,
   updateDiagnosis,
+  reviewDiagnosis,
   deleteDiagnosis,
+  rediagnose,
+  getDiagnosisRevisions,
+  getDiagnosisDiff,
+  getDiagnosisOverlay,
   getDiagnosesByPatient,
   getDiagnosisCount,
   getPatientsBySeverity,
@@ -15,18 +21,54 @@ const {
   validateCreateDiagnosis,
   validateUpdateDiagnosis,
   validateDiagnosisId,
+  validateRediagnose,
+  validateDiagnosisDiff,
+  validateOverlay,
+  validateJobId,
   validatePatientId,
   validateFetchDiagnoses,
+  validateSeverityAggregates,
+  validateReviewDiagnosis,
 } = require("../controllers/diagnosisController");
+const {
+  createBatch,
+  getBatch,
+  validateCreateBatch,
+  validateBatchId,
+} = require("../controllers/diagnosisBatchController");
+const {
+  getAnnotations,
+  addAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  validateGetAnnotations,
+  validateAddAnnotation,
+  validateUpdateAnnotation,
+  validateAnnotationId,
+} = require("../controllers/annotationController");
+const { getDiagnosisReport, validateDiagnosisReport } = require("../controllers/reportController");
 const authMiddleware = require("../middleware/auth");
 
 router.get("/count", authMiddleware, getDiagnosisCount);
-router.get("/patients-by-severity", authMiddleware, getPatientsBySeverity);
-router.get("/by-severity", authMiddleware, getDiagnosesBySeverity);
+router.get("/patients-by-severity", authMiddleware, validateSeverityAggregates, getPatientsBySeverity);
+router.get("/by-severity", authMiddleware, validateSeverityAggregates, getDiagnosesBySeverity);
 router.get("/recent", authMiddleware, getRecentDiagnoses);
 router.get("/", authMiddleware, validateFetchDiagnoses, getDiagnoses);
 router.post("/", authMiddleware, validateCreateDiagnosis, createDiagnosis);
+router.get("/jobs/:jobId", authMiddleware, validateJobId, getDiagnosisJob);
+router.post("/batches", authMiddleware, validateCreateBatch, createBatch);
+router.get("/batches/:batchId", authMiddleware, validateBatchId, getBatch);
 router.get("/patient/:patientId", authMiddleware, validatePatientId, getDiagnosesByPatient);
+router.post("/:id/rediagnose", authMiddleware, validateRediagnose, rediagnose);
+router.get("/:id/revisions", authMiddleware, validateDiagnosisId, getDiagnosisRevisions);
+router.get("/:id/diff", authMiddleware, validateDiagnosisDiff, getDiagnosisDiff);
+router.put("/:id/review", authMiddleware, validateReviewDiagnosis, reviewDiagnosis);
+router.get("/:id/report", authMiddleware, validateDiagnosisReport, getDiagnosisReport);
+router.get("/:id/overlay", authMiddleware, validateOverlay, getDiagnosisOverlay);
+router.get("/:id/annotations", authMiddleware, validateGetAnnotations, getAnnotations);
+router.post("/:id/annotations", authMiddleware, validateAddAnnotation, addAnnotation);
+router.put("/:id/annotations/:annotationId", authMiddleware, validateUpdateAnnotation, updateAnnotation);
+router.delete("/:id/annotations/:annotationId", authMiddleware, validateAnnotationId, deleteAnnotation);
 router.get("/:id", authMiddleware, validateDiagnosisId, getDiagnosisById);
 router.put("/:id", authMiddleware, validateUpdateDiagnosis, updateDiagnosis);
 router.delete("/:id", authMiddleware, validateDiagnosisId, deleteDiagnosis);
@@ -13,14 +13,21 @@ const {
   getPatientCount,
   getActivePatientCount,
   getPatientsByGender,
+  getPatientTimeline,
+  getProgressingPatients,
+  validatePatientTimeline,
 } = require("../controllers/patientController");
+const { getPatientReport, validatePatientReport } = require("../controllers/reportController");
 const authMiddleware = require("../middleware/auth");
 
 router.get("/count", authMiddleware, getPatientCount);
 router.get("/active-count", authMiddleware, getActivePatientCount);
 router.get("/by-gender", authMiddleware, getPatientsByGender);
+router.get("/progressing", authMiddleware, getProgressingPatients);
 router.post("/", authMiddleware, validateCreatePatient, createPatient);
 router.get("/", authMiddleware, validateFetchPatients, getPatients);
+router.get("/:id/timeline", authMiddleware, validatePatientTimeline, getPatientTimeline);
+router.get("/:id/report", authMiddleware, validatePatientReport, getPatientReport);
 router.get("/:id", authMiddleware, getPatientById);
 router.put("/:id", authMiddleware, validateUpdatePatient, updatePatient);
 router.delete("/:id", authMiddleware, deletePatient);
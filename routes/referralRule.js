@@ -0,0 +1,25 @@
+// backend/routes/referralRuleRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getReferralRules,
+  getReferralRuleById,
+  createReferralRule,
+  updateReferralRule,
+  deleteReferralRule,
+  dryRunReferralRuleset,
+  validateCreateReferralRule,
+  validateUpdateReferralRule,
+  validateReferralRuleId,
+  validateDryRun,
+} = require("../controllers/referralRuleController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/", authMiddleware, getReferralRules);
+router.post("/", authMiddleware, validateCreateReferralRule, createReferralRule);
+router.post("/dry-run", authMiddleware, validateDryRun, dryRunReferralRuleset);
+router.get("/:id", authMiddleware, validateReferralRuleId, getReferralRuleById);
+router.put("/:id", authMiddleware, validateUpdateReferralRule, updateReferralRule);
+router.delete("/:id", authMiddleware, validateReferralRuleId, deleteReferralRule);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const {
   uploadRetinalImage,
+  bulkUploadRetinalImages,
   getRetinalImages,
   getRetinalImageById,
   getRetinalImagesByPatient,
@@ -10,34 +11,14 @@ const {
   deleteRetinalImage,
   getRetinalImageCount,
   validateUploadRetinalImage,
+  validateBulkUpload,
   validateRetinalImageId,
   validateUpdateRetinalImage,
   validatePatientId,
   validateFetchRetinalImages,
 } = require("../controllers/retinalImageController");
 const authMiddleware = require("../middleware/auth");
-const multer = require("multer");
-
-// Multer configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/input/");
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  },
-});
-const upload = multer({
-  storage,
-  fileFilter: (req, file, cb) => {
-    if (["image/jpeg", "image/png", "image/jpg"].includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error("Invalid file type. Only JPEG and PNG are allowed."));
-    }
-  },
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
-});
+const { upload, bulkUpload, BULK_MAX_FILES } = require("../middleware/multer");
 
 router.get("/count", authMiddleware, getRetinalImageCount);
 router.post(
@@ -47,6 +28,17 @@ router.post(
   validateUploadRetinalImage,
   uploadRetinalImage
 );
+router.post(
+  "/bulk",
+  authMiddleware,
+  bulkUpload.fields([
+    { name: "images", maxCount: BULK_MAX_FILES },
+    { name: "archive", maxCount: 1 },
+    { name: "manifest", maxCount: 1 },
+  ]),
+  validateBulkUpload,
+  bulkUploadRetinalImages
+);
 router.get("/", authMiddleware, validateFetchRetinalImages, getRetinalImages);
 router.get("/patient/:patientId", authMiddleware, validatePatientId, getRetinalImagesByPatient);
 router.get("/:id", authMiddleware, validateRetinalImageId, getRetinalImageById);
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { serveUpload } = require("../controllers/uploadController");
+const uploadAccess = require("../middleware/uploadAccess");
+
+router.get("/*key", uploadAccess, serveUpload);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// backend/routes/visitRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  createVisit,
+  getVisits,
+  getVisitById,
+  updateVisit,
+  deleteVisit,
+  validateCreateVisit,
+  validateUpdateVisit,
+  validateVisitId,
+  validateFetchVisits,
+} = require("../controllers/visitController");
+const authMiddleware = require("../middleware/auth");
+
+router.post("/", authMiddleware, validateCreateVisit, createVisit);
+router.get("/", authMiddleware, validateFetchVisits, getVisits);
+router.get("/:id", authMiddleware, validateVisitId, getVisitById);
+router.put("/:id", authMiddleware, validateUpdateVisit, updateVisit);
+router.delete("/:id", authMiddleware, validateVisitId, deleteVisit);
+
+module.exports = router;
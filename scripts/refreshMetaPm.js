@@ -0,0 +1,29 @@
+// Derive the META-PM classification for diagnoses that have none or were derived with a
+// different mapping. Run after upgrading and after changing META_PM_MAPPING:
+//   npm run meta-pm:refresh
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Diagnosis = require("../models/Diagnosis");
+const { MAPPING_VERSION, deriveMetaPm } = require("../utils/metaPm");
+
+const refresh = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const cursor = Diagnosis.find({ "metaPm.mappingVersion": { $ne: MAPPING_VERSION } })
+    .select("severityLevel review yoloDetections annotations")
+    .lean()
+    .cursor();
+  let updated = 0;
+  for await (const diagnosis of cursor) {
+    // updateOne leaves the rest of the document, including its timestamps, untouched
+    await Diagnosis.updateOne({ _id: diagnosis._id }, { $set: { metaPm: deriveMetaPm(diagnosis) } });
+    updated++;
+  }
+  console.log(`Derived META-PM classification for ${updated} diagnoses (mapping ${MAPPING_VERSION}).`);
+};
+
+refresh()
+  .catch((error) => {
+    console.error("META-PM refresh failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Recompute the progression flag for every patient. Run once after upgrading, since
+// flags are otherwise only updated when a patient's diagnoses change:
+//   npm run progression:refresh
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Patient = require("../models/Patient");
+const { refreshProgressionFlag } = require("../services/progressionService");
+
+const refresh = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const patients = await Patient.find().select("_id").lean();
+  let flagged = 0;
+  for (const patient of patients) {
+    const timeline = await refreshProgressionFlag(patient._id);
+    if (timeline?.progressing) flagged++;
+  }
+  console.log(`Checked ${patients.length} patients; ${flagged} flagged as progressing.`);
+};
+
+refresh()
+  .catch((error) => {
+    console.error("Progression refresh failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
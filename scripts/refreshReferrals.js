@@ -0,0 +1,23 @@
+// Re-evaluate the referral on every current diagnosis. Run after upgrading; rule changes
+// made through the API are applied in the background by the server:
+//   npm run referrals:refresh
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { refreshAllReferrals } = require("../services/referralService");
+
+const refresh = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const { patients, failed } = await refreshAllReferrals();
+  console.log(`Re-evaluated referrals for ${patients} patients.`);
+  if (failed > 0) {
+    console.error(`Referrals could not be updated for ${failed} patients; see the errors above.`);
+    process.exitCode = 1;
+  }
+};
+
+refresh()
+  .catch((error) => {
+    console.error("Referral refresh failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// Local stand-in for the YOLO and ResNet inference spaces.
+// Point YOLO_ENDPOINT and RESNET_ENDPOINT at it to exercise the HTTP provider offline:
+//   YOLO_ENDPOINT=http://localhost:7860/yolo/infer
+//   RESNET_ENDPOINT=http://localhost:7860/resnet/infer
+const express = require("express");
+const multer = require("multer");
+const { stubDetect, stubClassifySeverity } = require("../services/inferenceProviders/stubProvider");
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage() });
+
+const handle = (infer) => async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded." });
+  }
+  try {
+    res.json(await infer(req.file.buffer));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.post("/yolo/infer", upload.single("file"), handle(stubDetect));
+app.post("/resnet/infer", upload.single("file"), handle(stubClassifySeverity));
+
+const PORT = process.env.STUB_MODEL_PORT || 7860;
+app.listen(PORT, () => {
+  console.log(`Stub model server running on port ${PORT}`);
+});
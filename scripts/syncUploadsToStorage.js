@@ -0,0 +1,43 @@
+// Copy files from the local uploads/ directory into the configured storage driver.
+// Run once when moving an existing deployment to object storage:
+//   STORAGE_DRIVER=s3 S3_BUCKET=... npm run storage:sync
+require("dotenv").config();
+const fs = require("fs").promises;
+const path = require("path");
+const { storageDriver, putFile, exists } = require("../services/storageService");
+
+const ROOT = path.join(__dirname, "..");
+
+const listFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    })
+  );
+  return files.flat();
+};
+
+const sync = async () => {
+  if (storageDriver === "local") {
+    console.log("STORAGE_DRIVER is local; files are already in place.");
+    return;
+  }
+
+  const files = await listFiles(path.join(ROOT, "uploads"));
+  let copied = 0;
+  for (const filePath of files) {
+    const key = path.relative(ROOT, filePath).split(path.sep).join("/");
+    if (await exists(key)) continue;
+    await putFile(key, filePath);
+    copied++;
+    console.log(`Copied ${key}`);
+  }
+  console.log(`Copied ${copied} of ${files.length} files to ${storageDriver} storage.`);
+};
+
+sync().catch((error) => {
+  console.error("Storage sync error:", error);
+  process.exit(1);
+});
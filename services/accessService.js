@@ -0,0 +1,101 @@
+const Patient = require("../models/Patient");
+const RetinalImage = require("../models/RetinalImage");
+const Diagnosis = require("../models/Diagnosis");
+const Consult = require("../models/Consult");
+
+const VIEW_LOG_INTERVAL = 15 * 60 * 1000;
+
+// Active consult through which a doctor may read a patient's records: one sharing the whole
+// patient or, when a diagnosis or retinal image is given, one sharing that record
+const findConsultAccess = (user, { patientId, diagnosisId, retinalImageId }) =>
+  Consult.findOne({
+    consultantId: user.id,
+    patientId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { scope: "patient" },
+      ...(diagnosisId ? [{ diagnosisId }] : []),
+      ...(retinalImageId ? [{ retinalImageId }] : []),
+    ],
+  })
+    .select("_id")
+    .lean();
+
+// Record that the consultant looked at the shared records, at most once per interval so
+// image loads do not flood the log
+const logConsultView = (consultId, user, details) =>
+  Consult.updateOne(
+    {
+      _id: consultId,
+      $or: [{ lastViewedAt: null }, { lastViewedAt: { $lt: new Date(Date.now() - VIEW_LOG_INTERVAL) } }],
+    },
+    {
+      $set: { lastViewedAt: new Date() },
+      $push: { events: { type: "viewed", actorId: user.id, details } },
+    }
+  );
+
+// Whether a user may read a patient record: the patient's doctor always, other doctors
+// through an active consult. doctorId is the owner already loaded by the caller.
+const canReadPatientRecord = async (user, { doctorId, patientId, diagnosisId, retinalImageId, details }) => {
+  if (doctorId && doctorId.toString() === user.id) return true;
+  if (!patientId) return false;
+  const consult = await findConsultAccess(user, { patientId, diagnosisId, retinalImageId });
+  if (!consult) return false;
+  await logConsultView(consult._id, user, details);
+  return true;
+};
+
+// Doctors may see the records of their own patients, and of patients shared with them
+const canAccessPatient = async (patientId, user) => {
+  const patient = await Patient.findById(patientId).select("doctorId").lean();
+  return Boolean(
+    patient && (await canReadPatientRecord(user, { doctorId: patient.doctorId, patientId, details: "patient" }))
+  );
+};
+
+// Find the patient and retinal image a stored file belongs to, or null if no record
+// references it
+const findUploadRecord = async (key) => {
+  const retinalImage = await RetinalImage.findOne({
+    $or: [
+      { originalImagePath: key },
+      { "derivatives.normalized.path": key },
+      { "derivatives.thumbnails.path": key },
+      { yoloOutputPath: key },
+      { "dicom.archivePath": key },
+    ],
+  })
+    .select("patientId")
+    .lean();
+  if (retinalImage) return { patientId: retinalImage.patientId, retinalImageId: retinalImage._id };
+
+  // YOLO outputs of superseded revisions are only referenced by their diagnosis
+  const diagnosis = await Diagnosis.findOne({ "yoloOutput.path": key })
+    .select("retinalImageId")
+    .populate({ path: "retinalImageId", select: "patientId" })
+    .lean();
+  if (!diagnosis?.retinalImageId?.patientId) return null;
+  return { patientId: diagnosis.retinalImageId.patientId, retinalImageId: diagnosis.retinalImageId._id };
+};
+
+// Resolves to true or false, or null when the file is not linked to any record
+const canAccessUpload = async (key, user) => {
+  const record = await findUploadRecord(key);
+  if (!record) return null;
+  const patient = await Patient.findById(record.patientId).select("doctorId").lean();
+  if (!patient) return false;
+  return canReadPatientRecord(user, {
+    doctorId: patient.doctorId,
+    patientId: record.patientId,
+    retinalImageId: record.retinalImageId,
+    details: "image file",
+  });
+};
+
+module.exports = {
+  canReadPatientRecord,
+  canAccessPatient,
+  canAccessUpload,
+};
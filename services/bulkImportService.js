@@ -0,0 +1,328 @@
+const AdmZip = require("adm-zip");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const mongoose = require("mongoose");
+const os = require("os");
+const path = require("path");
+const { parse: parseCsv } = require("csv-parse/sync");
+const Patient = require("../models/Patient");
+const { ingestRetinalImage, removeTempFile } = require("./retinalImageIngestionService");
+const { queueDiagnosisBatch } = require("./diagnosisBatchService");
+const { BULK_MAX_FILES } = require("../middleware/multer");
+
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024; // Same as a single DICOM upload
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "myopia-uploads");
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".dcm"];
+
+const EYE_ALIASES = {
+  l: "left",
+  left: "left",
+  os: "left",
+  r: "right",
+  right: "right",
+  od: "right",
+};
+
+// Manifest columns may use any of these names
+const COLUMN_ALIASES = {
+  file: "file",
+  filename: "file",
+  image: "file",
+  patientcode: "patientCode",
+  code: "patientCode",
+  patientid: "patientId",
+  eye: "eye",
+  laterality: "eye",
+  capturedat: "capturedAt",
+  capturedate: "capturedAt",
+  capturedevice: "captureDevice",
+  device: "captureDevice",
+  fieldofview: "fieldOfView",
+  fov: "fieldOfView",
+};
+
+const normalizeEye = (value) => EYE_ALIASES[String(value || "").trim().toLowerCase()] || null;
+
+// Files are matched by name, ignoring folders and case
+const fileKey = (name) => path.basename(String(name)).toLowerCase();
+
+const normalizeRow = (row) => {
+  const normalized = {};
+  Object.entries(row).forEach(([column, value]) => {
+    const field = COLUMN_ALIASES[column.toLowerCase().replace(/[^a-z]/g, "")];
+    if (field && value !== undefined && value !== null && String(value).trim() !== "") {
+      normalized[field] = String(value).trim();
+    }
+  });
+  return normalized;
+};
+
+// Parse a CSV (with a header row) or JSON manifest into rows keyed by field name
+const parseManifest = (content, format) => {
+  let rows;
+  try {
+    if (format === "json") {
+      const parsed = JSON.parse(content);
+      rows = Array.isArray(parsed) ? parsed : parsed.entries;
+      if (!Array.isArray(rows)) {
+        throw new Error('expected an array of entries or { "entries": [...] }');
+      }
+    } else {
+      rows = parseCsv(content, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+    }
+  } catch (error) {
+    const parseError = new Error(`Invalid manifest: ${error.message}`);
+    parseError.status = 400;
+    throw parseError;
+  }
+  return rows.map(normalizeRow);
+};
+
+// "P0012_L.jpg" or "P0012_OD_2.png" -> patient code P0012, right/left eye when given
+const parseFileName = (name) => {
+  const [patientCode, eyeToken] = path.basename(name, path.extname(name)).split("_");
+  return { patientCode, eye: normalizeEye(eyeToken) || undefined };
+};
+
+// Check a manifest row's values; returns capture metadata or an error message
+const validateRow = (row) => {
+  if (!row.patientCode && !row.patientId) {
+    return { error: "No patient code or patient ID." };
+  }
+  if (row.patientId && !mongoose.isValidObjectId(row.patientId)) {
+    return { error: "Invalid patient ID." };
+  }
+  const capture = {};
+  if (row.eye) {
+    capture.eye = normalizeEye(row.eye);
+    if (!capture.eye) return { error: `Invalid eye "${row.eye}"; use left/right, L/R or OS/OD.` };
+  }
+  if (row.capturedAt) {
+    capture.capturedAt = new Date(row.capturedAt);
+    if (Number.isNaN(capture.capturedAt.getTime())) return { error: "Invalid capture date." };
+    if (capture.capturedAt > new Date()) return { error: "Capture date cannot be in the future." };
+  }
+  if (row.fieldOfView) {
+    capture.fieldOfView = Number(row.fieldOfView);
+    if (!(capture.fieldOfView >= 1 && capture.fieldOfView <= 220)) {
+      return { error: "Field of view must be between 1 and 220 degrees." };
+    }
+  }
+  if (row.captureDevice) {
+    if (row.captureDevice.length > 100) return { error: "Capture device must be 100 characters or less." };
+    capture.captureDevice = row.captureDevice;
+  }
+  return { capture };
+};
+
+const tempPathFor = (name) =>
+  path.join(UPLOAD_TMP_DIR, `${Date.now()}-${crypto.randomInt(1e9)}${path.extname(name).toLowerCase()}`);
+
+// Collect image entries and an optional manifest.csv/manifest.json from a ZIP archive
+const readArchive = (archivePath) => {
+  let zip;
+  try {
+    zip = new AdmZip(archivePath);
+  } catch (error) {
+    const archiveError = new Error(`Invalid ZIP archive: ${error.message}`);
+    archiveError.status = 400;
+    throw archiveError;
+  }
+
+  const entries = [];
+  let manifest;
+  zip.getEntries().forEach((entry) => {
+    const name = entry.entryName;
+    const baseName = path.posix.basename(name);
+    if (entry.isDirectory || name.startsWith("__MACOSX/") || baseName.startsWith(".")) return;
+
+    if (/^manifest\.(csv|json)$/i.test(name)) {
+      manifest = { content: entry.getData().toString("utf8"), format: path.extname(name).slice(1).toLowerCase() };
+    } else if (IMAGE_EXTENSIONS.includes(path.extname(baseName).toLowerCase())) {
+      entries.push({
+        name,
+        size: entry.header.size,
+        // Extract one entry at a time to keep disk and memory use flat
+        extract: async () => {
+          const tempPath = tempPathFor(baseName);
+          await fs.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+          await fs.writeFile(tempPath, entry.getData());
+          return tempPath;
+        },
+      });
+    }
+  });
+  return { entries, manifest };
+};
+
+// Load the doctor's patients referenced by code or ID
+const loadPatients = async (doctorId, rows) => {
+  const codes = [...new Set(rows.map((row) => row.patientCode).filter(Boolean))];
+  const ids = [...new Set(rows.map((row) => row.patientId).filter((id) => id && mongoose.isValidObjectId(id)))];
+
+  const [byCode, byId] = await Promise.all([
+    codes.length
+      ? Patient.find({ doctorId, patientCode: { $in: codes } }).collation({ locale: "en", strength: 2 })
+      : [],
+    ids.length ? Patient.find({ doctorId, _id: { $in: ids } }) : [],
+  ]);
+
+  return {
+    byCode: new Map(byCode.map((patient) => [patient.patientCode.toLowerCase(), patient])),
+    byId: new Map(byId.map((patient) => [patient._id.toString(), patient])),
+  };
+};
+
+// Import uploaded files and/or a ZIP archive, mapping files to patients with a manifest
+// or, without one, by file name (<patientCode>_<eye>...). Returns a per-file report.
+const importRetinalImages = async ({
+  files = [],
+  archivePath,
+  manifest,
+  uploadedBy,
+  rejectUngradable,
+  diagnose = false,
+}) => {
+  const items = [];
+  const importedImages = [];
+  try {
+    const entries = files.map((file) => ({ name: file.originalname, size: file.size, extract: async () => file.path }));
+    let archiveManifest;
+    if (archivePath) {
+      const archive = readArchive(archivePath);
+      entries.push(...archive.entries);
+      archiveManifest = archive.manifest;
+    }
+
+    if (entries.length === 0) {
+      const error = new Error("No images found in the upload.");
+      error.status = 400;
+      throw error;
+    }
+    if (entries.length > BULK_MAX_FILES) {
+      const error = new Error(`The upload contains ${entries.length} images; the limit is ${BULK_MAX_FILES}.`);
+      error.status = 400;
+      throw error;
+    }
+
+    const manifestSource = manifest || archiveManifest;
+    const manifestRows = manifestSource ? parseManifest(manifestSource.content, manifestSource.format) : null;
+
+    // Work out the patient and capture metadata for every file
+    const rowsByFile = new Map();
+    (manifestRows || []).forEach((row) => {
+      if (row.file) rowsByFile.set(fileKey(row.file), row);
+    });
+    const nameCounts = new Map();
+    entries.forEach((entry) => nameCounts.set(fileKey(entry.name), (nameCounts.get(fileKey(entry.name)) || 0) + 1));
+
+    const planned = entries.map((entry) => {
+      const key = fileKey(entry.name);
+      const row = manifestRows ? rowsByFile.get(key) : parseFileName(entry.name);
+      if (nameCounts.get(key) > 1) return { entry, error: "More than one file has this name." };
+      if (!row) return { entry, error: "Not listed in the manifest." };
+      if (entry.size > MAX_ENTRY_SIZE) return { entry, error: "File is larger than 50MB." };
+      return { entry, row, ...validateRow(row) };
+    });
+
+    const patients = await loadPatients(
+      uploadedBy,
+      planned.filter((plan) => plan.row).map((plan) => plan.row)
+    );
+
+    for (const plan of planned) {
+      const item = { file: plan.entry.name };
+      items.push(item);
+
+      const patient =
+        plan.row &&
+        (plan.row.patientId
+          ? patients.byId.get(plan.row.patientId)
+          : patients.byCode.get(plan.row.patientCode.toLowerCase()));
+      let error = plan.error;
+      if (!error && !patient) {
+        error = plan.row.patientId
+          ? "Patient not found."
+          : `No patient with code "${plan.row.patientCode}".`;
+      }
+      if (error) {
+        Object.assign(item, { status: "failed", error });
+        continue;
+      }
+
+      try {
+        const filePath = await plan.entry.extract();
+        const { image, warnings, duplicate } = await ingestRetinalImage({
+          filePath,
+          patient,
+          uploadedBy,
+          rejectUngradable,
+          capture: plan.capture,
+        });
+        importedImages.push(image);
+        Object.assign(item, {
+          status: "imported",
+          retinalImageId: image._id,
+          patientId: patient._id,
+          eye: image.eye || null,
+          ...(warnings.length > 0 && { warnings }),
+          ...(duplicate && { duplicateOf: { id: duplicate._id, uploadedAt: duplicate.uploadedAt } }),
+        });
+      } catch (ingestionError) {
+        if (!ingestionError.status) {
+          console.error(`Bulk import of ${plan.entry.name} failed:`, ingestionError);
+        }
+        Object.assign(item, { status: "failed", error: ingestionError.message, ...ingestionError.details });
+      }
+    }
+
+    // Manifest rows that do not match any uploaded file
+    if (manifestRows) {
+      const uploaded = new Set(entries.map((entry) => fileKey(entry.name)));
+      manifestRows
+        .filter((row) => !row.file || !uploaded.has(fileKey(row.file)))
+        .forEach((row) => {
+          items.push({
+            file: row.file || null,
+            status: "failed",
+            error: row.file ? "File not found in the upload." : "Manifest row has no file name.",
+          });
+        });
+    }
+
+    let batch = null;
+    if (diagnose && importedImages.length > 0) {
+      try {
+        const result = await queueDiagnosisBatch({
+          requestedBy: uploadedBy,
+          scope: { type: "images" },
+          images: importedImages,
+        });
+        batch = {
+          batchId: result.batch._id,
+          queued: result.queued,
+          statusUrl: `/api/diagnoses/batches/${result.batch._id}`,
+        };
+      } catch (batchError) {
+        if (!batchError.status) throw batchError;
+        batch = { error: batchError.message };
+      }
+    }
+
+    return {
+      total: items.length,
+      imported: importedImages.length,
+      failed: items.length - importedImages.length,
+      items,
+      batch,
+    };
+  } finally {
+    // Uploaded files that were never ingested are still in the temporary directory
+    await Promise.all(files.map((file) => removeTempFile(file.path)));
+    await removeTempFile(archivePath);
+  }
+};
+
+module.exports = {
+  importRetinalImages,
+};
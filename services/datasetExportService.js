@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const { once } = require("events");
+const path = require("path");
+const sharp = require("sharp");
+const Diagnosis = require("../models/Diagnosis");
+const { effectiveDetections } = require("../utils/annotations");
+const { severityFor } = require("../utils/severity");
+const { getBuffer } = require("./storageService");
+
+const DATASET_FORMATS = ["yolo", "coco"];
+const REVIEW_STATUSES = ["corrected", "uncorrected", "needs_review", "pending_review", "confirmed", "overridden"];
+
+// Current diagnoses matching the export filters, with their retinal images
+const findExportDiagnoses = async ({ from, to, severities, reviewStatus }) => {
+  const query = { isCurrent: { $ne: false } };
+  if (from || to) {
+    query.diagnosedAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+  // Match the reviewed severity, or the AI's until a doctor has reviewed the diagnosis
+  if (severities?.length) {
+    query.$or = [
+      { "review.finalSeverity": { $in: severities } },
+      { "review.finalSeverity": null, severityLevel: { $in: severities } },
+    ];
+  }
+  if (reviewStatus === "corrected") {
+    query["annotations.0"] = { $exists: true };
+  } else if (reviewStatus === "uncorrected") {
+    query["annotations.0"] = { $exists: false };
+  } else if (reviewStatus === "needs_review") {
+    query.needsReview = true;
+  } else if (reviewStatus === "pending_review") {
+    query["review.status"] = { $in: [null, "pending_review"] };
+  } else if (reviewStatus) {
+    query["review.status"] = reviewStatus;
+  }
+
+  const diagnoses = await Diagnosis.find(query)
+    .sort({ diagnosedAt: 1 })
+    .populate({
+      path: "retinalImageId",
+      select: "originalImagePath patientId eye capturedAt",
+    })
+    .lean();
+  return diagnoses.filter((diagnosis) => diagnosis.retinalImageId?.patientId);
+};
+
+// Deterministic fraction in [0, 1) for a patient, so all of a patient's images land in
+// the same split and repeated exports with the same seed split the same way
+const splitFraction = (seed, patientId) =>
+  crypto.createHash("sha256").update(`${seed}:${patientId}`).digest().readUInt32BE(0) / 2 ** 32;
+
+// Pick the boxes to export and assign each image a split and file name
+const planDataset = (diagnoses, { labels, valSplit, seed, deidentify }) => {
+  const labelFilter = labels?.length ? new Set(labels) : null;
+  const pseudonyms = new Map();
+  const imageCounts = new Map();
+
+  const items = [];
+  diagnoses.forEach((diagnosis) => {
+    const boxes = effectiveDetections(diagnosis).filter(
+      (detection) => detection.boundingBox && (!labelFilter || labelFilter.has(detection.label))
+    );
+    // With a label filter, only images showing one of those lesions are useful
+    if (labelFilter && boxes.length === 0) return;
+
+    const image = diagnosis.retinalImageId;
+    const patientId = image.patientId.toString();
+    if (!pseudonyms.has(patientId)) {
+      pseudonyms.set(patientId, `patient-${String(pseudonyms.size + 1).padStart(4, "0")}`);
+    }
+    const pseudonym = pseudonyms.get(patientId);
+    imageCounts.set(patientId, (imageCounts.get(patientId) || 0) + 1);
+
+    // Boxes are in the coordinates of the image the models ran on
+    const sourcePath = diagnosis.inferenceInput?.path || image.originalImagePath;
+    const baseName = deidentify ? `${pseudonym}-${imageCounts.get(patientId)}` : image._id.toString();
+
+    items.push({
+      diagnosis,
+      image,
+      boxes,
+      sourcePath,
+      fileName: `${baseName}${path.extname(sourcePath).toLowerCase() || ".jpg"}`,
+      split: splitFraction(seed, patientId) < valSplit ? "val" : "train",
+      patient: deidentify ? pseudonym : patientId,
+    });
+  });
+
+  const classes = [...new Set(items.flatMap((item) => item.boxes.map((box) => box.label)))].sort();
+  return { items, classes, patientCount: pseudonyms.size };
+};
+
+// One "class cx cy w h" line per box, clipped to the image and normalised to its size
+const toYoloLabels = (boxes, classes, width, height) =>
+  boxes
+    .map(({ label, boundingBox: { x, y, width: w, height: h } }) => {
+      const left = Math.max(0, x);
+      const top = Math.max(0, y);
+      const right = Math.min(width, x + w);
+      const bottom = Math.min(height, y + h);
+      return [
+        classes.indexOf(label),
+        ((left + right) / 2 / width).toFixed(6),
+        ((top + bottom) / 2 / height).toFixed(6),
+        (Math.max(0, right - left) / width).toFixed(6),
+        (Math.max(0, bottom - top) / height).toFixed(6),
+      ].join(" ");
+    })
+    .join("\n");
+
+const yoloDataYaml = (classes) =>
+  [
+    "path: .",
+    "train: images/train",
+    "val: images/val",
+    `nc: ${classes.length}`,
+    "names:",
+    ...classes.map((label, index) => `  ${index}: ${JSON.stringify(label)}`),
+    "",
+  ].join("\n");
+
+// Add an entry and wait until the archive has taken it, so only one image is held in memory
+const appendEntry = async (archive, data, name) => {
+  const written = once(archive, "entry");
+  archive.append(data, { name });
+  await written;
+};
+
+// Write images and labels for the planned dataset into an archiver instance. Images that
+// cannot be read are left out and listed in export.json.
+const writeDatasetArchive = async (archive, { items, classes, patientCount }, options) => {
+  const { format, deidentify } = options;
+  const coco = {
+    train: { images: [], annotations: [] },
+    val: { images: [], annotations: [] },
+  };
+  const categories = classes.map((name, index) => ({ id: index + 1, name, supercategory: "lesion" }));
+  const counts = { train: 0, val: 0 };
+  const skipped = [];
+  let annotationId = 0;
+
+  for (const item of items) {
+    let buffer;
+    let width = item.diagnosis.inferenceInput?.width;
+    let height = item.diagnosis.inferenceInput?.height;
+    try {
+      buffer = await getBuffer(item.sourcePath);
+      if (!width || !height) {
+        ({ width, height } = await sharp(buffer).metadata());
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Dataset export could not read ${item.sourcePath}:`, error);
+      }
+      skipped.push({
+        ...(!deidentify && { retinalImageId: item.image._id }),
+        file: item.fileName,
+        reason: error.code === "ENOENT" ? "Image file not found." : error.message,
+      });
+      continue;
+    }
+
+    await appendEntry(archive, buffer, `images/${item.split}/${item.fileName}`);
+    counts[item.split]++;
+
+    if (format === "yolo") {
+      const labelName = `${path.basename(item.fileName, path.extname(item.fileName))}.txt`;
+      await appendEntry(archive, toYoloLabels(item.boxes, classes, width, height), `labels/${item.split}/${labelName}`);
+      continue;
+    }
+
+    const cocoSplit = coco[item.split];
+    const imageId = cocoSplit.images.length + 1;
+    cocoSplit.images.push({
+      id: imageId,
+      file_name: item.fileName,
+      width,
+      height,
+      patient: item.patient,
+      eye: item.image.eye || null,
+      severity: severityFor(item.diagnosis, "final") || null,
+      ...(!deidentify && {
+        retinalImageId: item.image._id,
+        diagnosisId: item.diagnosis._id,
+        capturedAt: item.image.capturedAt || null,
+      }),
+    });
+    item.boxes.forEach(({ label, boundingBox: { x, y, width: w, height: h }, source }) => {
+      cocoSplit.annotations.push({
+        id: ++annotationId,
+        image_id: imageId,
+        category_id: classes.indexOf(label) + 1,
+        bbox: [x, y, w, h],
+        area: w * h,
+        iscrowd: 0,
+        source: source || "model",
+      });
+    });
+  }
+
+  if (format === "yolo") {
+    await appendEntry(archive, yoloDataYaml(classes), "data.yaml");
+  } else {
+    for (const split of ["train", "val"]) {
+      const dataset = { info: { description: "Myopia-Dx lesion dataset", split }, categories, ...coco[split] };
+      await appendEntry(archive, JSON.stringify(dataset, null, 2), `annotations/instances_${split}.json`);
+    }
+  }
+
+  const summary = {
+    format,
+    generatedAt: new Date().toISOString(),
+    filters: options.filters,
+    valSplit: options.valSplit,
+    seed: options.seed,
+    deidentified: deidentify,
+    classes,
+    patients: patientCount,
+    images: counts,
+    skipped,
+  };
+  await appendEntry(archive, JSON.stringify(summary, null, 2), "export.json");
+  return summary;
+};
+
+module.exports = {
+  DATASET_FORMATS,
+  REVIEW_STATUSES,
+  findExportDiagnoses,
+  planDataset,
+  writeDatasetArchive,
+};
@@ -0,0 +1,70 @@
+const Diagnosis = require("../models/Diagnosis");
+const DiagnosisBatch = require("../models/DiagnosisBatch");
+const DiagnosisJob = require("../models/DiagnosisJob");
+const { enqueueBatchJobs } = require("./diagnosisJobService");
+
+const MAX_BATCH_SIZE = parseInt(process.env.DIAGNOSIS_BATCH_MAX_SIZE) || 500;
+
+// Split candidate images into those to queue and those to skip
+const partitionImages = async (images) => {
+  const imageIds = images.map((img) => img._id);
+  const [diagnosedIds, activeJobIds] = await Promise.all([
+    Diagnosis.distinct("retinalImageId", { retinalImageId: { $in: imageIds } }),
+    DiagnosisJob.distinct("retinalImageId", {
+      retinalImageId: { $in: imageIds },
+      status: { $in: ["queued", "running"] },
+    }),
+  ]);
+  const diagnosed = new Set(diagnosedIds.map(String));
+  const active = new Set(activeJobIds.map(String));
+
+  const toQueue = [];
+  const skipped = [];
+  images.forEach((img) => {
+    if (diagnosed.has(img._id.toString())) {
+      skipped.push({ retinalImageId: img._id, reason: "Already diagnosed." });
+    } else if (active.has(img._id.toString())) {
+      skipped.push({ retinalImageId: img._id, reason: "A diagnosis job is already in progress." });
+    } else {
+      toQueue.push(img._id);
+    }
+  });
+  return { toQueue, skipped };
+};
+
+// Create a batch and queue jobs for the images that still need a diagnosis.
+// Throws an error with status 400 when the batch would exceed MAX_BATCH_SIZE.
+const queueDiagnosisBatch = async ({ requestedBy, scope, images, skipped = [] }) => {
+  const partition = await partitionImages(images);
+  const allSkipped = skipped.concat(partition.skipped);
+
+  if (partition.toQueue.length > MAX_BATCH_SIZE) {
+    const error = new Error(
+      `Batch would contain ${partition.toQueue.length} images; the limit is ${MAX_BATCH_SIZE}.`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  const batch = await DiagnosisBatch.create({
+    requestedBy,
+    scope,
+    total: partition.toQueue.length,
+    skipped: allSkipped,
+  });
+
+  if (partition.toQueue.length > 0) {
+    await enqueueBatchJobs({
+      batchId: batch._id,
+      retinalImageIds: partition.toQueue,
+      requestedBy,
+    });
+  }
+
+  return { batch, queued: partition.toQueue.length, skipped: allSkipped };
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  queueDiagnosisBatch,
+};
@@ -0,0 +1,250 @@
+const Diagnosis = require("../models/Diagnosis");
+const DiagnosisJob = require("../models/DiagnosisJob");
+const RetinalImage = require("../models/RetinalImage");
+const { runYOLO, runResNet, rememberYoloOutput } = require("./inferenceService");
+const { persistYoloOutput, copyYoloOutput } = require("./yoloOutputService");
+const sharp = require("sharp");
+const { hashFile } = require("../utils/fileHash");
+const { withLocalFile } = require("./storageService");
+const { refreshProgressionFlag } = require("./progressionService");
+
+const POLL_INTERVAL = parseInt(process.env.DIAGNOSIS_JOB_POLL_INTERVAL) || 2000; // 2 seconds
+const WORKER_CONCURRENCY = parseInt(process.env.DIAGNOSIS_WORKER_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.DIAGNOSIS_JOB_MAX_ATTEMPTS) || 3;
+// 0 is a valid threshold, so only an unset or unparsable value falls back to the default
+const configuredThreshold = parseFloat(process.env.SEVERITY_CONFIDENCE_THRESHOLD);
+const CONFIDENCE_THRESHOLD = Number.isNaN(configuredThreshold) ? 0.6 : configuredThreshold;
+
+let pollTimer = null;
+let polling = false;
+let activeJobs = 0;
+
+// Queue a diagnosis job for the worker to pick up
+const enqueueDiagnosisJob = async ({
+  retinalImageId,
+  requestedBy,
+  notes,
+  supersedesDiagnosisId,
+  skipCache,
+}) => {
+  const job = await DiagnosisJob.create({
+    retinalImageId,
+    requestedBy,
+    notes,
+    supersedesDiagnosisId,
+    skipCache,
+  });
+  if (pollTimer) {
+    setImmediate(pollJobs);
+  }
+  return job;
+};
+
+// Queue one job per retinal image as part of a batch
+const enqueueBatchJobs = async ({ batchId, retinalImageIds, requestedBy }) => {
+  const jobs = await DiagnosisJob.insertMany(
+    retinalImageIds.map((retinalImageId) => ({
+      retinalImageId,
+      requestedBy,
+      batchId,
+      priority: 0,
+    }))
+  );
+  if (pollTimer) {
+    setImmediate(pollJobs);
+  }
+  return jobs;
+};
+
+// Find a queued or running job for a retinal image, if any
+const findActiveJob = (retinalImageId) =>
+  DiagnosisJob.findOne({
+    retinalImageId,
+    status: { $in: ["queued", "running"] },
+  });
+
+// Atomically claim the oldest queued job so concurrent pollers never share one
+const claimNextJob = () =>
+  DiagnosisJob.findOneAndUpdate(
+    { status: "queued" },
+    { $set: { status: "running", startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { priority: -1, createdAt: 1 }, new: true }
+  );
+
+// Run inference for a claimed job and store the resulting diagnosis
+const processJob = async (job) => {
+  try {
+    const retinalImage = await RetinalImage.findById(job.retinalImageId);
+    if (!retinalImage) {
+      throw new Error("Retinal image not found.");
+    }
+
+    const currentDiagnosis = await Diagnosis.findOne({
+      retinalImageId: retinalImage._id,
+      isCurrent: { $ne: false },
+    }).sort({ revision: -1 });
+    if (currentDiagnosis && !job.supersedesDiagnosisId) {
+      throw new Error("A diagnosis already exists for this retinal image.");
+    }
+    if (!currentDiagnosis && job.supersedesDiagnosisId) {
+      throw new Error("The diagnosis to re-run no longer exists.");
+    }
+
+    // Images uploaded before content hashing get their hash on first diagnosis
+    if (!retinalImage.contentHash) {
+      retinalImage.contentHash = await withLocalFile(retinalImage.originalImagePath, hashFile);
+    }
+
+    // Prefer the normalised copy; images uploaded before preprocessing only have the original
+    const inputPath = retinalImage.derivatives?.normalized?.path || retinalImage.originalImagePath;
+    const { width, height, inputHash, yolo, resnet } = await withLocalFile(inputPath, async (localPath) => {
+      const metadata = await sharp(localPath).metadata();
+
+      // Cache by the bytes the models actually see
+      const inputHash =
+        inputPath === retinalImage.originalImagePath ? retinalImage.contentHash : await hashFile(localPath);
+      const inferenceOptions = { contentHash: inputHash, skipCache: job.skipCache };
+      const [yoloRun, resnetRun] = await Promise.all([
+        runYOLO(localPath, inferenceOptions),
+        runResNet(localPath, inferenceOptions),
+      ]);
+      return { width: metadata.width, height: metadata.height, inputHash, yolo: yoloRun, resnet: resnetRun };
+    });
+    const yoloResult = yolo.data;
+    const resnetResult = resnet.data;
+
+    if (!yoloResult.detections || !resnetResult.severity_level) {
+      throw new Error("Invalid inference results from models.");
+    }
+
+    let yoloOutput;
+    if (yolo.provenance.cacheHit) {
+      // A cached output_image URL has likely expired, so only the stored copy is reused
+      if (yolo.yoloOutput) {
+        try {
+          yoloOutput = await copyYoloOutput(yolo.yoloOutput, retinalImage._id);
+          await rememberYoloOutput(inputHash, yoloOutput);
+        } catch (copyError) {
+          console.error(`Failed to reuse cached YOLO output for job ${job._id}:`, copyError);
+        }
+      }
+    } else if (yoloResult.output_image) {
+      try {
+        yoloOutput = await persistYoloOutput(yoloResult.output_image, retinalImage._id);
+        await rememberYoloOutput(inputHash, yoloOutput);
+      } catch (downloadError) {
+        // The diagnosis is still valid without the annotated image
+        console.error(`Failed to store YOLO output for job ${job._id}:`, downloadError);
+      }
+    }
+    retinalImage.yoloOutputPath = yoloOutput?.path || null;
+    await retinalImage.save();
+
+    const diagnosis = await Diagnosis.create({
+      retinalImageId: retinalImage._id,
+      visitId: retinalImage.visitId,
+      yoloDetections: yoloResult.detections,
+      inferenceInput: { path: inputPath, width, height },
+      yoloOutput,
+      severityLevel: resnetResult.severity_level,
+      severityProbabilities: resnet.probabilities || undefined,
+      severityConfidence: resnet.confidence ?? undefined,
+      // An unknown confidence cannot be trusted either
+      needsReview: resnet.confidence == null || resnet.confidence < CONFIDENCE_THRESHOLD,
+      confidenceThreshold: CONFIDENCE_THRESHOLD,
+      provenance: {
+        detection: yolo.provenance,
+        classification: resnet.provenance,
+      },
+      notes: job.notes !== undefined ? job.notes : currentDiagnosis?.notes,
+      jobId: job._id,
+      revision: currentDiagnosis ? (currentDiagnosis.revision || 1) + 1 : 1,
+      previousRevisionId: currentDiagnosis?._id,
+    });
+
+    if (currentDiagnosis) {
+      currentDiagnosis.isCurrent = false;
+      currentDiagnosis.supersededAt = new Date();
+      await currentDiagnosis.save();
+    }
+
+    await refreshProgressionFlag(retinalImage.patientId);
+
+    job.status = "succeeded";
+    job.diagnosisId = diagnosis._id;
+    job.error = undefined;
+  } catch (error) {
+    console.error(`Diagnosis job ${job._id} failed:`, error);
+    job.status = "failed";
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+// Claim and process queued jobs up to the configured concurrency
+const pollJobs = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    while (activeJobs < WORKER_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      processJob(job)
+        .catch((error) => console.error(`Diagnosis job ${job._id} could not be saved:`, error))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(pollJobs);
+        });
+    }
+  } catch (error) {
+    console.error("Diagnosis job polling error:", error);
+  } finally {
+    polling = false;
+  }
+};
+
+// Requeue jobs interrupted by a restart, then start polling
+const startDiagnosisWorker = async () => {
+  if (pollTimer) return;
+
+  await DiagnosisJob.updateMany(
+    { status: "running", attempts: { $gte: MAX_ATTEMPTS } },
+    {
+      $set: {
+        status: "failed",
+        error: "Job was interrupted too many times.",
+        finishedAt: new Date(),
+      },
+    }
+  );
+  const { modifiedCount } = await DiagnosisJob.updateMany(
+    { status: "running" },
+    { $set: { status: "queued" }, $unset: { startedAt: "" } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Resuming ${modifiedCount} interrupted diagnosis job(s).`);
+  }
+
+  pollTimer = setInterval(pollJobs, POLL_INTERVAL);
+  setImmediate(pollJobs);
+  console.log("Diagnosis worker started.");
+};
+
+const stopDiagnosisWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  enqueueDiagnosisJob,
+  enqueueBatchJobs,
+  findActiveJob,
+  startDiagnosisWorker,
+  stopDiagnosisWorker,
+};
@@ -0,0 +1,239 @@
+const dicomParser = require("dicom-parser");
+const fs = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const { putFile, removeFile } = require("./storageService");
+
+const DICOM_DIR = "uploads/dicom";
+
+const NATIVE_TRANSFER_SYNTAXES = [
+  "1.2.840.10008.1.2", // Implicit VR Little Endian
+  "1.2.840.10008.1.2.1", // Explicit VR Little Endian
+  "1.2.840.10008.1.2.2", // Explicit VR Big Endian
+];
+const JPEG_TRANSFER_SYNTAXES = [
+  "1.2.840.10008.1.2.4.50", // JPEG Baseline
+  "1.2.840.10008.1.2.4.51", // JPEG Extended
+];
+
+const LATERALITY = { L: "left", R: "right", B: "both" };
+
+// Part 10 files carry "DICM" after a 128-byte preamble
+const isDicomFile = async (filePath) => {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(132), 0, 132, 0);
+    return bytesRead === 132 && buffer.toString("ascii", 128, 132) === "DICM";
+  } finally {
+    await handle.close();
+  }
+};
+
+const readString = (dataSet, tag) => {
+  const value = dataSet.string(tag);
+  return value ? value.trim() : undefined;
+};
+
+// "DOE^JANE^^DR" -> "JANE DOE"
+const formatPersonName = (value) => {
+  if (!value) return undefined;
+  const [family = "", given = "", middle = ""] = value.split("=")[0].split("^");
+  return [given, middle, family].filter(Boolean).join(" ").trim() || undefined;
+};
+
+// DA "YYYYMMDD" plus optional TM "HHMMSS.frac" as a UTC date
+const parseDateTime = (date, time = "") => {
+  const dateMatch = /^(\d{4})(\d{2})(\d{2})/.exec(date || "");
+  if (!dateMatch) return undefined;
+  const timeMatch = /^(\d{2})(\d{2})?(\d{2})?/.exec(time) || [];
+  const parsed = new Date(
+    Date.UTC(
+      Number(dateMatch[1]),
+      Number(dateMatch[2]) - 1,
+      Number(dateMatch[3]),
+      Number(timeMatch[1] || 0),
+      Number(timeMatch[2] || 0),
+      Number(timeMatch[3] || 0)
+    )
+  );
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed;
+};
+
+const readAcquisitionDate = (dataSet) => {
+  const dateTime = readString(dataSet, "x0008002a");
+  if (dateTime) return parseDateTime(dateTime.slice(0, 8), dateTime.slice(8));
+  return (
+    parseDateTime(readString(dataSet, "x00080022"), readString(dataSet, "x00080032")) ||
+    parseDateTime(readString(dataSet, "x00080023"), readString(dataSet, "x00080033")) ||
+    parseDateTime(readString(dataSet, "x00080020"), readString(dataSet, "x00080030"))
+  );
+};
+
+const readMetadata = (dataSet) => {
+  const laterality = readString(dataSet, "x00200062") || readString(dataSet, "x00200060");
+  return {
+    transferSyntaxUid: readString(dataSet, "x00020010"),
+    sopClassUid: readString(dataSet, "x00080016"),
+    sopInstanceUid: readString(dataSet, "x00080018"),
+    studyInstanceUid: readString(dataSet, "x0020000d"),
+    seriesInstanceUid: readString(dataSet, "x0020000e"),
+    modality: readString(dataSet, "x00080060"),
+    patientName: formatPersonName(readString(dataSet, "x00100010")),
+    patientId: readString(dataSet, "x00100020"),
+    laterality: LATERALITY[(laterality || "").toUpperCase()],
+    acquisitionDate: readAcquisitionDate(dataSet),
+    manufacturer: readString(dataSet, "x00080070"),
+    manufacturerModelName: readString(dataSet, "x00081090"),
+    deviceSerialNumber: readString(dataSet, "x00181000"),
+    stationName: readString(dataSet, "x00081010"),
+    horizontalFieldOfView: dataSet.float("x0022000c"),
+    rows: dataSet.uint16("x00280010"),
+    columns: dataSet.uint16("x00280011"),
+  };
+};
+
+// Scale native pixel samples to 8 bits per channel, interleaved
+const toEightBit = (dataSet, pixelElement, { rows, columns, samplesPerPixel }) => {
+  const bitsAllocated = dataSet.uint16("x00280100") || 8;
+  const planar = dataSet.uint16("x00280006") === 1;
+  const pixelCount = rows * columns * samplesPerPixel;
+  const bytes = new Uint8Array(dataSet.byteArray.buffer, dataSet.byteArray.byteOffset + pixelElement.dataOffset);
+
+  let samples;
+  if (bitsAllocated === 8) {
+    samples = bytes.subarray(0, pixelCount);
+  } else if (bitsAllocated === 16) {
+    const signed = dataSet.uint16("x00280103") === 1;
+    const bigEndian = readString(dataSet, "x00020010") === "1.2.840.10008.1.2.2";
+    const view = new DataView(bytes.buffer, bytes.byteOffset, pixelCount * 2);
+    const values = new Float64Array(pixelCount);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < pixelCount; i++) {
+      const value = signed ? view.getInt16(i * 2, !bigEndian) : view.getUint16(i * 2, !bigEndian);
+      values[i] = value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    const range = max - min || 1;
+    samples = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      samples[i] = Math.round(((values[i] - min) / range) * 255);
+    }
+  } else {
+    throw new Error(`Unsupported DICOM bits allocated: ${bitsAllocated}.`);
+  }
+
+  if (samples.length < pixelCount) {
+    throw new Error("DICOM pixel data is truncated.");
+  }
+  if (!planar || samplesPerPixel === 1) {
+    return Buffer.from(samples);
+  }
+
+  // Planar configuration 1 stores RRR...GGG...BBB...
+  const planeSize = rows * columns;
+  const interleaved = Buffer.alloc(pixelCount);
+  for (let i = 0; i < planeSize; i++) {
+    for (let channel = 0; channel < samplesPerPixel; channel++) {
+      interleaved[i * samplesPerPixel + channel] = samples[channel * planeSize + i];
+    }
+  }
+  return interleaved;
+};
+
+// Convert the first frame of the pixel data to a PNG or JPEG image
+const extractImage = async (dataSet, metadata) => {
+  const pixelElement = dataSet.elements.x7fe00010;
+  if (!pixelElement) {
+    throw new Error("DICOM file contains no pixel data.");
+  }
+
+  const { transferSyntaxUid } = metadata;
+  const photometric = readString(dataSet, "x00280004") || "MONOCHROME2";
+
+  if (JPEG_TRANSFER_SYNTAXES.includes(transferSyntaxUid)) {
+    const fragments = pixelElement.fragments || [];
+    const frame =
+      pixelElement.basicOffsetTable && pixelElement.basicOffsetTable.length > 0
+        ? dicomParser.readEncapsulatedImageFrame(dataSet, pixelElement, 0)
+        : dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, pixelElement, 0, fragments.length);
+    const jpeg = Buffer.from(frame.buffer, frame.byteOffset, frame.length);
+    // Decode once so a corrupt stream is rejected here rather than later in the pipeline
+    await sharp(jpeg).metadata();
+    return { buffer: jpeg, extension: ".jpg" };
+  }
+
+  if (!NATIVE_TRANSFER_SYNTAXES.includes(transferSyntaxUid)) {
+    throw new Error(
+      `Unsupported DICOM transfer syntax ${transferSyntaxUid}. Export uncompressed or JPEG Baseline DICOM.`
+    );
+  }
+
+  const { rows, columns } = metadata;
+  const samplesPerPixel = dataSet.uint16("x00280002") || 1;
+  if (!rows || !columns) {
+    throw new Error("DICOM file is missing image dimensions.");
+  }
+  if (!["MONOCHROME1", "MONOCHROME2", "RGB", "YBR_FULL"].includes(photometric)) {
+    throw new Error(`Unsupported DICOM photometric interpretation: ${photometric}.`);
+  }
+
+  const pixels = toEightBit(dataSet, pixelElement, { rows, columns, samplesPerPixel });
+
+  if (photometric === "MONOCHROME1") {
+    for (let i = 0; i < pixels.length; i++) pixels[i] = 255 - pixels[i];
+  } else if (photometric === "YBR_FULL" && samplesPerPixel === 3) {
+    for (let i = 0; i < pixels.length; i += 3) {
+      const y = pixels[i];
+      const cb = pixels[i + 1] - 128;
+      const cr = pixels[i + 2] - 128;
+      pixels[i] = Math.max(0, Math.min(255, Math.round(y + 1.402 * cr)));
+      pixels[i + 1] = Math.max(0, Math.min(255, Math.round(y - 0.344136 * cb - 0.714136 * cr)));
+      pixels[i + 2] = Math.max(0, Math.min(255, Math.round(y + 1.772 * cb)));
+    }
+  }
+
+  const png = await sharp(pixels, { raw: { width: columns, height: rows, channels: samplesPerPixel } })
+    .png()
+    .toBuffer();
+  return { buffer: png, extension: ".png" };
+};
+
+// Archive an uploaded DICOM file in storage under uploads/dicom and write a viewable
+// image next to where the upload landed. Returns the image path and parsed metadata.
+const ingestDicomFile = async (filePath) => {
+  const buffer = await fs.readFile(filePath);
+
+  let dataSet;
+  try {
+    dataSet = dicomParser.parseDicom(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+  } catch (error) {
+    // dicom-parser throws strings as well as errors
+    throw new Error(`Invalid DICOM file: ${error.message || error}`);
+  }
+
+  const metadata = readMetadata(dataSet);
+  const image = await extractImage(dataSet, metadata);
+
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const imagePath = path.join(path.dirname(filePath), `${baseName}${image.extension}`);
+  const archivePath = `${DICOM_DIR}/${baseName}.dcm`;
+
+  // Archive and drop the DICOM first; the upload may share a name with the extracted image
+  await putFile(archivePath, filePath);
+  await fs.unlink(filePath);
+  try {
+    await fs.writeFile(imagePath, image.buffer);
+  } catch (error) {
+    await removeFile(archivePath);
+    throw error;
+  }
+
+  return { imagePath, dicom: { ...metadata, archivePath } };
+};
+
+module.exports = {
+  isDicomFile,
+  ingestDicomFile,
+};
@@ -0,0 +1,135 @@
+const fs = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const { stripJpegMetadata } = require("../utils/jpegMetadata");
+const { putBuffer, removeFile } = require("./storageService");
+
+const SOURCE_DIR = "uploads/source";
+const NORMALIZED_DIR = "uploads/normalized";
+const THUMBNAIL_DIR = "uploads/thumbnails";
+const NORMALIZED_MAX_SIZE = parseInt(process.env.NORMALIZED_MAX_SIZE) || 1024;
+const THUMBNAIL_SIZES = (process.env.THUMBNAIL_SIZES || "128,256")
+  .split(",")
+  .map((size) => parseInt(size))
+  .filter((size) => size > 0);
+
+const describeFile = async (filePath) => {
+  const [{ width, height, format }, { size }] = await Promise.all([
+    sharp(filePath).metadata(),
+    fs.stat(filePath),
+  ]);
+  return { path: filePath, width, height, format, size };
+};
+
+// Encode a derivative and save it to storage under key
+const storeDerivative = async (image, key) => {
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  await putBuffer(key, data);
+  return { path: key, width: info.width, height: info.height, format: info.format, size: info.size };
+};
+
+// Rewrite the upload in place without EXIF/GPS, XMP or IPTC metadata, keeping the
+// ICC profile. JPEGs are stripped without re-encoding and PNGs re-encode losslessly.
+// A JPEG that needs its EXIF orientation applied has to be re-encoded, so the
+// stripped but untouched upload is stored under uploads/source as well.
+const sanitizeOriginal = async (filePath) => {
+  const metadata = await sharp(filePath).metadata();
+  const sourceOrientation = metadata.orientation || 1;
+  const info = {
+    format: metadata.format,
+    sourceOrientation,
+    metadataStripped: Boolean(metadata.exif || metadata.xmp || metadata.iptc),
+    iccProfile: Boolean(metadata.icc),
+    reencoded: metadata.format !== "jpeg" || sourceOrientation !== 1,
+  };
+
+  let source;
+  const tempPath = `${filePath}.tmp`;
+  if (metadata.format === "jpeg") {
+    const stripped = stripJpegMetadata(await fs.readFile(filePath));
+    if (sourceOrientation === 1) {
+      await fs.writeFile(tempPath, stripped);
+      await fs.rename(tempPath, filePath);
+      return { info };
+    }
+
+    source = {
+      path: `${SOURCE_DIR}/${path.basename(filePath)}`,
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      size: stripped.length,
+    };
+    await putBuffer(source.path, stripped);
+  }
+
+  // sharp writes no EXIF, XMP or IPTC unless asked to
+  const image = sharp(filePath).rotate().keepIccProfile();
+  const output =
+    metadata.format === "png"
+      ? image.png()
+      : image.jpeg({ quality: 95, chromaSubsampling: "4:4:4" });
+  try {
+    await output.toFile(tempPath);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await removeFile(source?.path);
+    throw error;
+  }
+
+  return { info, source };
+};
+
+// Produce the derivatives for an uploaded image. The local original is rewritten in place
+// without metadata; a size-capped sRGB JPEG for inference and thumbnails go to storage.
+const preprocessRetinalImage = async (filePath) => {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const { info: original, source } = await sanitizeOriginal(filePath);
+
+  const normalized = await storeDerivative(
+    sharp(filePath)
+      .resize(NORMALIZED_MAX_SIZE, NORMALIZED_MAX_SIZE, { fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#000000" })
+      .toColourspace("srgb")
+      .jpeg({ quality: 95 }),
+    `${NORMALIZED_DIR}/${baseName}.jpg`
+  );
+
+  const thumbnails = await Promise.all(
+    THUMBNAIL_SIZES.map(async (size) => ({
+      ...(await storeDerivative(
+        sharp(filePath)
+          .resize(size, size, { fit: "inside", withoutEnlargement: true })
+          .flatten({ background: "#000000" })
+          .jpeg({ quality: 80 }),
+        `${THUMBNAIL_DIR}/${baseName}-${size}.jpg`
+      )),
+      maxSize: size,
+    }))
+  );
+
+  return {
+    original: { ...original, ...(await describeFile(filePath)) },
+    source,
+    normalized,
+    thumbnails,
+    processedAt: new Date(),
+  };
+};
+
+// Delete derivative files; missing files are ignored
+const removeDerivatives = async (derivatives) => {
+  if (!derivatives) return;
+  const paths = [
+    derivatives.source?.path,
+    derivatives.normalized?.path,
+    ...(derivatives.thumbnails || []).map((thumbnail) => thumbnail.path),
+  ].filter(Boolean);
+
+  await Promise.all(paths.map((derivativePath) => removeFile(derivativePath)));
+};
+
+module.exports = {
+  preprocessRetinalImage,
+  removeDerivatives,
+};
@@ -0,0 +1,154 @@
+const sharp = require("sharp");
+
+// Thresholds; blur is measured on a grayscale copy scaled to ANALYSIS_SIZE
+const MIN_RESOLUTION = parseInt(process.env.QUALITY_MIN_RESOLUTION) || 512;
+const BLUR_THRESHOLD = parseFloat(process.env.QUALITY_BLUR_THRESHOLD) || 10;
+const MIN_BRIGHTNESS = parseFloat(process.env.QUALITY_MIN_BRIGHTNESS) || 40;
+const MAX_BRIGHTNESS = parseFloat(process.env.QUALITY_MAX_BRIGHTNESS) || 200;
+const MAX_CLIPPED_RATIO = parseFloat(process.env.QUALITY_MAX_CLIPPED_RATIO) || 0.05;
+const ANALYSIS_SIZE = 512;
+const DARK_LEVEL = 20;
+const CLIPPED_LEVEL = 250;
+
+// Pixels brighter than DARK_LEVEL form the field of view; a fundus photo shows a
+// bright disc filling the centre with dark corners around it.
+const measureFieldOfView = (pixels, width, height) => {
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) / 2;
+
+  let insideTotal = 0;
+  let insideLit = 0;
+  let cornerTotal = 0;
+  let cornerDark = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const distance = Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY);
+      const lit = pixels[y * width + x] > DARK_LEVEL;
+      if (distance <= radius * 0.85) {
+        insideTotal++;
+        if (lit) insideLit++;
+      } else if (distance >= radius * 1.15) {
+        cornerTotal++;
+        if (!lit) cornerDark++;
+      }
+    }
+  }
+
+  return {
+    coverage: insideTotal ? insideLit / insideTotal : 0,
+    // Square-ish crops have little corner area outside the circle; treat them as dark
+    cornerDarkness: cornerTotal ? cornerDark / cornerTotal : 1,
+  };
+};
+
+// Variance of the Laplacian over pixels fully inside the field of view, so the
+// rim of the disc does not count as detail
+const measureSharpness = (pixels, width, height) => {
+  const lit = (index) => pixels[index] > DARK_LEVEL;
+  let count = 0;
+  let sum = 0;
+  let sumOfSquares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (!(lit(i) && lit(i - 1) && lit(i + 1) && lit(i - width) && lit(i + width))) continue;
+      const laplacian = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+      count++;
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+    }
+  }
+  if (!count) return 0;
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+};
+
+const measureExposure = (pixels) => {
+  let litCount = 0;
+  let total = 0;
+  let clipped = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if (pixels[i] <= DARK_LEVEL) continue;
+    litCount++;
+    total += pixels[i];
+    if (pixels[i] >= CLIPPED_LEVEL) clipped++;
+  }
+  return {
+    meanBrightness: litCount ? total / litCount : 0,
+    clippedRatio: litCount ? clipped / litCount : 0,
+  };
+};
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// Assess whether an image is good enough to grade. Throws if the file cannot be decoded.
+const assessImageQuality = async (input) => {
+  const { width, height } = await sharp(input).metadata();
+  const { data: pixels, info } = await sharp(input)
+    .rotate()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: "inside", withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const fieldOfView = measureFieldOfView(pixels, info.width, info.height);
+  const blurVariance = measureSharpness(pixels, info.width, info.height);
+  const { meanBrightness, clippedRatio } = measureExposure(pixels);
+
+  const reasons = [];
+  const checks = {
+    resolution: Math.min(width, height) >= MIN_RESOLUTION,
+    sharpness: blurVariance >= BLUR_THRESHOLD,
+    exposure:
+      meanBrightness >= MIN_BRIGHTNESS &&
+      meanBrightness <= MAX_BRIGHTNESS &&
+      clippedRatio <= MAX_CLIPPED_RATIO,
+    fieldOfView: fieldOfView.coverage >= 0.85 && fieldOfView.cornerDarkness >= 0.7,
+  };
+
+  if (!checks.resolution) {
+    reasons.push(`Resolution ${width}x${height} is below the ${MIN_RESOLUTION}px minimum.`);
+  }
+  if (!checks.sharpness) {
+    reasons.push("Image is blurry.");
+  }
+  if (meanBrightness < MIN_BRIGHTNESS) {
+    reasons.push("Image is under-exposed.");
+  } else if (meanBrightness > MAX_BRIGHTNESS || clippedRatio > MAX_CLIPPED_RATIO) {
+    reasons.push("Image is over-exposed.");
+  }
+  if (!checks.fieldOfView) {
+    reasons.push("No circular fundus field of view was found.");
+  }
+
+  // Each check contributes a partial score so near-misses rank above clear failures
+  const partialScores = [
+    Math.min(1, Math.min(width, height) / MIN_RESOLUTION),
+    Math.min(1, blurVariance / BLUR_THRESHOLD),
+    checks.exposure ? 1 : Math.max(0, 1 - Math.abs(meanBrightness - 120) / 120) * (1 - Math.min(1, clippedRatio)),
+    Math.min(1, fieldOfView.coverage / 0.85) * Math.min(1, fieldOfView.cornerDarkness / 0.7),
+  ];
+  const score = partialScores.reduce((sum, value) => sum + value, 0) / partialScores.length;
+
+  return {
+    score: round(score),
+    gradable: Object.values(checks).every(Boolean),
+    reasons,
+    checks,
+    metrics: {
+      width,
+      height,
+      blurVariance: round(blurVariance, 2),
+      meanBrightness: round(meanBrightness, 1),
+      clippedRatio: round(clippedRatio),
+      fovCoverage: round(fieldOfView.coverage),
+      cornerDarkness: round(fieldOfView.cornerDarkness),
+    },
+    assessedAt: new Date(),
+  };
+};
+
+module.exports = {
+  assessImageQuality,
+};
@@ -0,0 +1,51 @@
+const axios = require("axios");
+const FormData = require("form-data");
+const fs = require("fs");
+const retry = require("async-retry");
+
+// Posts the image as multipart "file" to the model servers (e.g. the Hugging Face spaces)
+const createHttpProvider = ({
+  yoloEndpoint,
+  resnetEndpoint,
+  yoloModel,
+  resnetModel,
+  timeout,
+  maxRetries,
+  logger,
+}) => {
+  const postImage = async (endpoint, imagePath, modelName) => {
+    const response = await retry(
+      async () => {
+        // A stream can only be consumed once, so build the form per attempt
+        const form = new FormData();
+        form.append("file", fs.createReadStream(imagePath));
+        return axios.post(endpoint, form, {
+          headers: form.getHeaders(),
+          timeout,
+        });
+      },
+      {
+        retries: maxRetries,
+        factor: 2,
+        minTimeout: 1000,
+        maxTimeout: 5000,
+        onRetry: (err, attempt) => {
+          logger.warn(`${modelName} retry attempt ${attempt}: ${err.message}`);
+        },
+      }
+    );
+    return response.data;
+  };
+
+  return {
+    name: "http",
+    detect: (imagePath) => postImage(yoloEndpoint, imagePath, "YOLO"),
+    classifySeverity: (imagePath) => postImage(resnetEndpoint, imagePath, "ResNet"),
+    describe: (task) =>
+      task === "detection"
+        ? { ...yoloModel, endpoint: yoloEndpoint }
+        : { ...resnetModel, endpoint: resnetEndpoint },
+  };
+};
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,20 @@
+const { createHttpProvider } = require("./httpProvider");
+const { createStubProvider } = require("./stubProvider");
+
+const providers = {
+  http: createHttpProvider,
+  stub: createStubProvider,
+};
+
+// Build the inference provider selected by name (INFERENCE_PROVIDER)
+const createInferenceProvider = (name, options) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown inference provider "${name}". Expected one of: ${Object.keys(providers).join(", ")}`
+    );
+  }
+  return factory(options);
+};
+
+module.exports = { createInferenceProvider };
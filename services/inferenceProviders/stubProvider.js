@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const sharp = require("sharp");
+
+const STUB_MODEL_VERSION = "stub-1";
+const SEVERITY_LEVELS = ["normal", "low", "medium", "high", "severe"];
+const LESION_LABELS = [
+  "tessellation",
+  "diffuse_atrophy",
+  "patchy_atrophy",
+  "lacquer_crack",
+  "macular_atrophy",
+  "cnv",
+  "fuchs_spot",
+];
+
+// Results are derived from a hash of the image bytes, so the same image always
+// yields the same detections and severity without any model being available.
+const hashImage = (buffer) => crypto.createHash("sha256").update(buffer).digest();
+
+const stubDetect = async (buffer) => {
+  const hash = hashImage(buffer);
+  const { width = 512, height = 512 } = await sharp(buffer).metadata();
+
+  const detectionCount = hash[0] % 4;
+  const detections = [];
+  for (let i = 0; i < detectionCount; i++) {
+    const offset = 1 + i * 6;
+    const boxWidth = Math.round(width * (0.05 + (hash[offset] / 255) * 0.15));
+    const boxHeight = Math.round(height * (0.05 + (hash[offset + 1] / 255) * 0.15));
+    detections.push({
+      label: LESION_LABELS[hash[offset + 2] % LESION_LABELS.length],
+      confidence: Number((0.5 + (hash[offset + 3] / 255) * 0.49).toFixed(3)),
+      boundingBox: {
+        x: Math.round((width - boxWidth) * (hash[offset + 4] / 255)),
+        y: Math.round((height - boxHeight) * (hash[offset + 5] / 255)),
+        width: boxWidth,
+        height: boxHeight,
+      },
+    });
+  }
+
+  return { detections, model_name: "stub-yolo", model_version: STUB_MODEL_VERSION };
+};
+
+const stubClassifySeverity = async (buffer) => {
+  const hash = hashImage(buffer);
+  const predicted = hash[31] % SEVERITY_LEVELS.length;
+
+  // Give the predicted class a boost large enough to win but not always to be confident
+  const weights = SEVERITY_LEVELS.map((level, index) => hash[index + 20] + 1 + (index === predicted ? 400 + hash[30] : 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const probabilities = {};
+  SEVERITY_LEVELS.forEach((level, index) => {
+    probabilities[level] = Number((weights[index] / total).toFixed(4));
+  });
+
+  return {
+    severity_level: SEVERITY_LEVELS[predicted],
+    probabilities,
+    model_name: "stub-resnet",
+    model_version: STUB_MODEL_VERSION,
+  };
+};
+
+const createStubProvider = ({ delay = 0 } = {}) => {
+  const withDelay = async (imagePath, infer) => {
+    const buffer = await fs.readFile(imagePath);
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    return infer(buffer);
+  };
+
+  return {
+    name: "stub",
+    detect: (imagePath) => withDelay(imagePath, stubDetect),
+    classifySeverity: (imagePath) => withDelay(imagePath, stubClassifySeverity),
+    describe: (task) => ({
+      name: task === "detection" ? "stub-yolo" : "stub-resnet",
+      version: STUB_MODEL_VERSION,
+      endpoint: "local-stub",
+    }),
+  };
+};
+
+module.exports = {
+  createStubProvider,
+  stubDetect,
+  stubClassifySeverity,
+};
@@ -1,8 +1,8 @@
-const axios = require("axios");
-const FormData = require("form-data");
 const fs = require("fs");
 const winston = require("winston");
-const retry = require("async-retry");
+const InferenceCache = require("../models/InferenceCache");
+const { createInferenceProvider } = require("./inferenceProviders");
+const { SEVERITY_LEVELS } = require("../utils/severity");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -17,15 +17,197 @@ const logger = winston.createLogger({
   ],
 });
 
+// "http" calls the model endpoints, "stub" runs a deterministic local model
+const INFERENCE_PROVIDER = process.env.INFERENCE_PROVIDER || "http";
+
 // Environment variables for model endpoints
 const YOLO_ENDPOINT = process.env.YOLO_ENDPOINT || "https://collinz56-myopia-yolo.hf.space/infer";
 const RESNET_ENDPOINT =
   process.env.RESNET_ENDPOINT || "https://collinz56-myopia-resnet.hf.space/infer";
 const INFERENCE_TIMEOUT = parseInt(process.env.INFERENCE_TIMEOUT) || 30000; // 30 seconds
 const MAX_RETRIES = parseInt(process.env.INFERENCE_MAX_RETRIES) || 3;
+const CACHE_ENABLED = process.env.INFERENCE_CACHE_ENABLED !== "false";
+
+const provider = createInferenceProvider(INFERENCE_PROVIDER, {
+  yoloEndpoint: YOLO_ENDPOINT,
+  resnetEndpoint: RESNET_ENDPOINT,
+  yoloModel: {
+    name: process.env.YOLO_MODEL_NAME || "yolo",
+    version: process.env.YOLO_MODEL_VERSION,
+  },
+  resnetModel: {
+    name: process.env.RESNET_MODEL_NAME || "resnet",
+    version: process.env.RESNET_MODEL_VERSION,
+  },
+  timeout: INFERENCE_TIMEOUT,
+  maxRetries: MAX_RETRIES,
+  delay: parseInt(process.env.STUB_INFERENCE_DELAY) || 0,
+  logger,
+});
+
+// Cache keys need the model version, so say once when a task will never be cached
+if (CACHE_ENABLED) {
+  const unversioned = [
+    ["detection", "YOLO_MODEL_VERSION"],
+    ["classification", "RESNET_MODEL_VERSION"],
+  ].filter(([task]) => !provider.describe(task).version);
+  if (unversioned.length > 0) {
+    logger.warn(
+      `Inference cache disabled for ${unversioned.map(([task]) => task).join(" and ")}: set ${unversioned
+        .map(([, variable]) => variable)
+        .join(" and ")} to enable it`
+    );
+  }
+}
 
-const runYOLO = async (imagePath) => {
-  logger.info(`Starting YOLO inference for image: ${imagePath}`);
+// Model info reported by the endpoint wins over what the provider is configured with
+const buildProvenance = (data, modelInfo, latencyMs) => {
+  const reportedModel = data.model && typeof data.model === "object" ? data.model : {};
+  const metadata = data.metadata || data.model_info || null;
+
+  return {
+    provider: provider.name,
+    modelName:
+      data.model_name ||
+      (typeof data.model === "string" ? data.model : reportedModel.name) ||
+      metadata?.model_name ||
+      modelInfo.name,
+    modelVersion:
+      data.model_version ||
+      data.version ||
+      reportedModel.version ||
+      metadata?.model_version ||
+      metadata?.version ||
+      modelInfo.version ||
+      "unknown",
+    endpoint: modelInfo.endpoint,
+    metadata,
+    latencyMs,
+    rawResponse: data,
+    inferredAt: new Date(),
+  };
+};
+
+// Run a provider call and time it, retries included
+const timed = async (infer) => {
+  const startedAt = Date.now();
+  const data = await infer();
+  return { data, latencyMs: Date.now() - startedAt };
+};
+
+// Results are only cached when the model version is configured up front, so a
+// retrained model with a new version never gets answers from the old one
+const cacheKey = (task, contentHash) => {
+  const modelInfo = provider.describe(task);
+  if (!CACHE_ENABLED || !contentHash || !modelInfo.version) return null;
+  return {
+    contentHash,
+    task,
+    provider: provider.name,
+    endpoint: modelInfo.endpoint,
+    modelVersion: modelInfo.version,
+  };
+};
+
+const readCache = async (task, contentHash) => {
+  const key = cacheKey(task, contentHash);
+  if (!key) return null;
+
+  try {
+    const entry = await InferenceCache.findOne(key).lean();
+    if (!entry) return null;
+    return {
+      data: entry.data,
+      yoloOutput: entry.yoloOutput?.path ? entry.yoloOutput : undefined,
+      provenance: {
+        ...entry.provenance,
+        rawResponse: entry.data,
+        cacheHit: true,
+        cachedAt: entry.createdAt,
+      },
+    };
+  } catch (error) {
+    logger.warn(`Inference cache lookup failed: ${error.message}`);
+    return null;
+  }
+};
+
+const writeCache = async (task, contentHash, data, provenance) => {
+  const key = cacheKey(task, contentHash);
+  if (!key) return;
+
+  // The endpoint reporting another version means the configured one is stale
+  if (provenance.modelVersion !== key.modelVersion) {
+    logger.warn(
+      `Not caching ${task} result: endpoint reported model version ${provenance.modelVersion}, configured ${key.modelVersion}`
+    );
+    return;
+  }
+
+  // The raw response is already stored as data
+  const cachedProvenance = { ...provenance };
+  delete cachedProvenance.rawResponse;
+  delete cachedProvenance.cacheHit;
+  try {
+    await InferenceCache.updateOne(
+      key,
+      { $set: { data, provenance: cachedProvenance, createdAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.warn(`Inference cache write failed: ${error.message}`);
+  }
+};
+
+// Remember where the annotated image for a cached detection result is stored
+const rememberYoloOutput = async (contentHash, yoloOutput) => {
+  const key = cacheKey("detection", contentHash);
+  if (!key || !yoloOutput) return;
+
+  try {
+    await InferenceCache.updateOne(key, { $set: { yoloOutput } });
+  } catch (error) {
+    logger.warn(`Inference cache update failed: ${error.message}`);
+  }
+};
+
+// Normalise whichever shape the classifier reports its class probabilities in:
+// { high: 0.7, ... }, [0.1, 0.2, ...] in severity order, or [{ label, probability }]
+const extractSeverityProbabilities = (data) => {
+  const reported =
+    data.probabilities || data.class_probabilities || data.probs || data.scores || null;
+  if (!reported || typeof reported !== "object") return null;
+
+  const probabilities = {};
+  if (Array.isArray(reported)) {
+    reported.forEach((entry, index) => {
+      if (typeof entry === "number") {
+        probabilities[SEVERITY_LEVELS[index]] = entry;
+      } else if (entry && typeof entry === "object") {
+        const label = entry.label || entry.class || entry.severity_level;
+        probabilities[label] = entry.probability ?? entry.confidence ?? entry.score;
+      }
+    });
+  } else {
+    Object.assign(probabilities, reported);
+  }
+
+  const values = SEVERITY_LEVELS.map((level) => Number(probabilities[level]));
+  if (values.some((value) => !Number.isFinite(value) || value < 0)) {
+    logger.warn("Ignoring ResNet probabilities: expected one non-negative value per severity level");
+    return null;
+  }
+
+  // Some classifiers report percentages
+  const scale = values.reduce((sum, value) => sum + value, 0) > 1.5 ? 100 : 1;
+  return SEVERITY_LEVELS.reduce((normalised, level, index) => {
+    normalised[level] = values[index] / scale;
+    return normalised;
+  }, {});
+};
+
+const runYOLO = async (imagePath, { contentHash, skipCache = false } = {}) => {
+  logger.info(`Starting YOLO inference for image: ${imagePath} (provider: ${provider.name})`);
 
   try {
     // Validate file exists
@@ -34,29 +216,15 @@ const runYOLO = async (imagePath) => {
       throw new Error("Image file not found.");
     }
 
-    const form = new FormData();
-    form.append("file", fs.createReadStream(imagePath));
-
-    const response = await retry(
-      async () => {
-        const res = await axios.post(YOLO_ENDPOINT, form, {
-          headers: form.getHeaders(),
-          timeout: INFERENCE_TIMEOUT,
-        });
-        return res;
-      },
-      {
-        retries: MAX_RETRIES,
-        factor: 2,
-        minTimeout: 1000,
-        maxTimeout: 5000,
-        onRetry: (err, attempt) => {
-          logger.warn(`YOLO retry attempt ${attempt}: ${err.message}`);
-        },
-      }
-    );
+    const cached = skipCache ? null : await readCache("detection", contentHash);
+    if (cached) {
+      logger.info(`YOLO cache hit for image: ${imagePath}`, {
+        modelVersion: cached.provenance.modelVersion,
+      });
+      return cached;
+    }
 
-    const data = response.data;
+    const { data, latencyMs } = await timed(() => provider.detect(imagePath));
 
     // Validate response
     if (!data.detections || !Array.isArray(data.detections)) {
@@ -64,8 +232,17 @@ const runYOLO = async (imagePath) => {
       throw new Error("Invalid YOLO response.");
     }
 
-    logger.info(`YOLO inference completed for image: ${imagePath}`);
-    return data;
+    const provenance = {
+      ...buildProvenance(data, provider.describe("detection"), latencyMs),
+      cacheHit: false,
+    };
+    await writeCache("detection", contentHash, data, provenance);
+
+    logger.info(`YOLO inference completed for image: ${imagePath}`, {
+      modelVersion: provenance.modelVersion,
+      latencyMs,
+    });
+    return { data, provenance };
   } catch (error) {
     logger.error(`YOLO inference failed for ${imagePath}: ${error.message}`, {
       stack: error.stack,
@@ -74,8 +251,8 @@ const runYOLO = async (imagePath) => {
   }
 };
 
-const runResNet = async (imagePath) => {
-  logger.info(`Starting ResNet inference for image: ${imagePath}`);
+const runResNet = async (imagePath, { contentHash, skipCache = false } = {}) => {
+  logger.info(`Starting ResNet inference for image: ${imagePath} (provider: ${provider.name})`);
 
   try {
     // Validate file exists
@@ -84,38 +261,40 @@ const runResNet = async (imagePath) => {
       throw new Error("Image file not found.");
     }
 
-    const form = new FormData();
-    form.append("file", fs.createReadStream(imagePath));
+    let result = skipCache ? null : await readCache("classification", contentHash);
+    if (result) {
+      logger.info(`ResNet cache hit for image: ${imagePath}`, {
+        modelVersion: result.provenance.modelVersion,
+      });
+    } else {
+      const { data, latencyMs } = await timed(() => provider.classifySeverity(imagePath));
 
-    const response = await retry(
-      async () => {
-        const res = await axios.post(RESNET_ENDPOINT, form, {
-          headers: form.getHeaders(),
-          timeout: INFERENCE_TIMEOUT,
-        });
-        return res;
-      },
-      {
-        retries: MAX_RETRIES,
-        factor: 2,
-        minTimeout: 1000,
-        maxTimeout: 5000,
-        onRetry: (err, attempt) => {
-          logger.warn(`ResNet retry attempt ${attempt}: ${err.message}`);
-        },
+      // Validate response
+      if (!data.severity_level || typeof data.severity_level !== "string") {
+        logger.error("Invalid ResNet response: missing or invalid severity_level");
+        throw new Error("Invalid ResNet response.");
       }
-    );
 
-    const data = response.data;
+      const provenance = {
+        ...buildProvenance(data, provider.describe("classification"), latencyMs),
+        cacheHit: false,
+      };
+      await writeCache("classification", contentHash, data, provenance);
 
-    // Validate response
-    if (!data.severity_level || typeof data.severity_level !== "string") {
-      logger.error("Invalid ResNet response: missing or invalid severity_level");
-      throw new Error("Invalid ResNet response.");
+      logger.info(`ResNet inference completed for image: ${imagePath}`, {
+        modelVersion: provenance.modelVersion,
+        latencyMs,
+      });
+      result = { data, provenance };
     }
 
-    logger.info(`ResNet inference completed for image: ${imagePath}`);
-    return data;
+    const { data } = result;
+    const probabilities = extractSeverityProbabilities(data);
+    // null when neither the distribution nor the response gives the predicted class's confidence
+    const confidence =
+      probabilities?.[data.severity_level] ?? (typeof data.confidence === "number" ? data.confidence : null);
+
+    return { ...result, probabilities, confidence };
   } catch (error) {
     logger.error(`ResNet inference failed for ${imagePath}: ${error.message}`, {
       stack: error.stack,
@@ -127,4 +306,5 @@ const runResNet = async (imagePath) => {
 module.exports = {
   runYOLO,
   runResNet,
-};
\ No newline at end of file
+  rememberYoloOutput,
+};
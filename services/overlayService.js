@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Colours used for labels without one in OVERLAY_LABEL_COLORS
+const PALETTE = ["#e6194b", "#3cb44b", "#ffe119", "#4363d8", "#f58231", "#911eb4", "#46f0f0", "#f032e6"];
+
+// Optional JSON map of label to colour, e.g. {"atrophy": "#ff0000"}
+const parseLabelColors = () => {
+  try {
+    return JSON.parse(process.env.OVERLAY_LABEL_COLORS || "{}");
+  } catch (error) {
+    console.error("Invalid OVERLAY_LABEL_COLORS:", error.message);
+    return {};
+  }
+};
+const LABEL_COLORS = parseLabelColors();
+
+// Configured colour for a label, or a palette colour picked from its name so it never changes
+const colorFor = (label) => {
+  if (LABEL_COLORS[label]) return LABEL_COLORS[label];
+  const index = crypto.createHash("md5").update(String(label)).digest().readUInt32BE(0) % PALETTE.length;
+  return PALETTE[index];
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const captionFor = (detection) =>
+  detection.source === "clinician"
+    ? `${detection.label} (clinician)`
+    : `${detection.label}${typeof detection.confidence === "number" ? ` ${Math.round(detection.confidence * 100)}%` : ""}`;
+
+// SVG with one rectangle (and optional caption) per detection. Clinician boxes are dashed.
+const buildOverlaySvg = (detections, { width, height, scale, captions }) => {
+  const stroke = Math.max(2, Math.round(Math.min(width, height) / 300));
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 40));
+
+  const shapes = detections.map((detection) => {
+    const color = colorFor(detection.label);
+    const x = detection.boundingBox.x * scale;
+    const y = detection.boundingBox.y * scale;
+    const boxWidth = detection.boundingBox.width * scale;
+    const boxHeight = detection.boundingBox.height * scale;
+    const dash = detection.source === "clinician" ? ` stroke-dasharray="${stroke * 3} ${stroke * 2}"` : "";
+    const rect = `<rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" fill="none" stroke="${color}" stroke-width="${stroke}"${dash}/>`;
+    if (!captions) return rect;
+
+    // Put the caption above the box, or inside it when the box touches the top edge
+    const textY = y - stroke * 2 >= fontSize ? y - stroke * 2 : y + fontSize + stroke;
+    const text = `<text x="${x}" y="${textY}" font-family="sans-serif" font-size="${fontSize}" fill="${color}" stroke="#000" stroke-width="${Math.max(1, stroke / 2)}" paint-order="stroke">${escapeXml(captionFor(detection))}</text>`;
+    return rect + text;
+  });
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join("")}</svg>`
+  );
+};
+
+// Draw detection boxes onto an image and return a JPEG. Boxes are in the coordinates of
+// the image the models ran on (inferenceInput) and are scaled to the image being drawn on.
+const renderDetectionOverlay = async (imageBuffer, detections, { inferenceInput, captions = true } = {}) => {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const scale = inferenceInput?.width ? width / inferenceInput.width : 1;
+  const svg = buildOverlaySvg(
+    detections.filter((detection) => detection.boundingBox),
+    { width, height, scale, captions }
+  );
+
+  return sharp(imageBuffer)
+    .composite([{ input: svg, top: 0, left: 0 }])
+    .jpeg({ quality: 90 })
+    .toBuffer();
+};
+
+module.exports = {
+  colorFor,
+  renderDetectionOverlay,
+};
@@ -0,0 +1,143 @@
+const Diagnosis = require("../models/Diagnosis");
+const Patient = require("../models/Patient");
+const RetinalImage = require("../models/RetinalImage");
+const { effectiveDetections } = require("../utils/annotations");
+const { diffSeverity } = require("../utils/detectionDiff");
+const { severityFor } = require("../utils/severity");
+const { refreshReferrals } = require("./referralService");
+
+// Images without a recorded eye are listed separately and never flagged, since they may
+// mix both eyes
+const EYE_GROUPS = ["left", "right", "unknown"];
+
+const countLesions = (detections) =>
+  detections.reduce((counts, { label }) => {
+    counts[label] = (counts[label] || 0) + 1;
+    return counts;
+  }, {});
+
+// Chronological entries for one eye, each compared with the one before it
+const buildEyeTimeline = (eye, rows, basis) => {
+  const seenLabels = new Set();
+  let previous = null;
+
+  const entries = rows.map(({ diagnosis, image }) => {
+    const severity = severityFor(diagnosis, basis);
+    const lesionCounts = countLesions(effectiveDetections(diagnosis));
+    const labels = Object.keys(lesionCounts);
+    const newLabels = previous ? labels.filter((label) => !seenLabels.has(label)) : [];
+    labels.forEach((label) => seenLabels.add(label));
+
+    const transition = previous ? diffSeverity(previous.severity, severity) : null;
+    const entry = {
+      diagnosisId: diagnosis._id,
+      retinalImageId: image._id,
+      date: image.capturedAt || image.uploadedAt,
+      diagnosedAt: diagnosis.diagnosedAt,
+      severity,
+      aiSeverity: diagnosis.severityLevel,
+      reviewStatus: diagnosis.review?.status || "pending_review",
+      lesionCounts,
+      lesionTotal: labels.reduce((total, label) => total + lesionCounts[label], 0),
+      transition,
+      newLabels,
+      progressed: transition?.direction === "worse" || newLabels.length > 0,
+    };
+    previous = entry;
+    return entry;
+  });
+
+  // The eye is progressing when its latest examination got worse than the one before
+  const latest = entries[entries.length - 1];
+  const reasons = [];
+  if (eye !== "unknown" && latest?.progressed) {
+    if (latest.transition?.direction === "worse") {
+      reasons.push(`${eye} eye: severity rose from ${latest.transition.from} to ${latest.transition.to}`);
+    }
+    if (latest.newLabels.length > 0) {
+      reasons.push(`${eye} eye: new lesions: ${latest.newLabels.join(", ")}`);
+    }
+  }
+
+  return {
+    eye,
+    entries,
+    firstSeverity: entries[0]?.severity || null,
+    latestSeverity: latest?.severity || null,
+    progressing: reasons.length > 0,
+    reasons,
+  };
+};
+
+// A patient's current diagnoses per eye in the order the images were taken.
+// basis "final" uses the doctor-reviewed severity where there is one.
+const buildPatientTimeline = async (patientId, { eye, basis = "final" } = {}) => {
+  const images = await RetinalImage.find({
+    patientId,
+    ...(eye && { eye }),
+  })
+    .select("_id eye capturedAt uploadedAt")
+    .lean();
+  const imagesById = new Map(images.map((image) => [image._id.toString(), image]));
+
+  const diagnoses = await Diagnosis.find({
+    retinalImageId: { $in: images.map((image) => image._id) },
+    isCurrent: { $ne: false },
+  }).lean();
+
+  const rows = diagnoses
+    .map((diagnosis) => ({ diagnosis, image: imagesById.get(diagnosis.retinalImageId.toString()) }))
+    .sort(
+      (a, b) =>
+        (a.image.capturedAt || a.image.uploadedAt) - (b.image.capturedAt || b.image.uploadedAt) ||
+        a.diagnosis.diagnosedAt - b.diagnosis.diagnosedAt
+    );
+
+  const eyes = EYE_GROUPS.map((group) =>
+    buildEyeTimeline(
+      group,
+      rows.filter(({ image }) => (image.eye || "unknown") === group),
+      basis
+    )
+  ).filter((timeline) => timeline.entries.length > 0);
+
+  return {
+    basis,
+    eyes,
+    progressing: eyes.some((timeline) => timeline.progressing),
+  };
+};
+
+// Recompute the progression flag stored on the patient for the dashboard, and the referrals
+// on the patient's diagnoses. Failures are logged rather than thrown so they never break
+// the request that triggered them.
+const refreshProgressionFlag = async (patientId) => {
+  try {
+    const timeline = await buildPatientTimeline(patientId);
+    const progressingEyes = timeline.eyes.filter((eyeTimeline) => eyeTimeline.progressing);
+    await Patient.updateOne(
+      { _id: patientId },
+      {
+        $set: {
+          progression: {
+            flagged: progressingEyes.length > 0,
+            eyes: progressingEyes.map((eyeTimeline) => eyeTimeline.eye),
+            reasons: progressingEyes.flatMap((eyeTimeline) => eyeTimeline.reasons),
+            evaluatedAt: new Date(),
+          },
+        },
+      }
+    );
+    // Referrals can depend on the flag, so they are re-evaluated with it
+    await refreshReferrals(patientId);
+    return timeline;
+  } catch (error) {
+    console.error(`Progression flag update error for patient ${patientId}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  buildPatientTimeline,
+  refreshProgressionFlag,
+};
@@ -0,0 +1,308 @@
+const Diagnosis = require("../models/Diagnosis");
+const Patient = require("../models/Patient");
+const ReferralRule = require("../models/ReferralRule");
+const RetinalImage = require("../models/RetinalImage");
+const { ageInYears } = require("../utils/age");
+const { effectiveDetections } = require("../utils/annotations");
+const { deriveMetaPm } = require("../utils/metaPm");
+const { SEVERITY_ORDER, severityFor } = require("../utils/severity");
+
+// Patients re-evaluated at once by a full refresh, and how often it reports progress
+const REFRESH_BATCH_SIZE = parseInt(process.env.REFERRAL_REFRESH_BATCH_SIZE) || 20;
+const REFRESH_PROGRESS_INTERVAL = 500;
+
+// Referral urgencies from least to most urgent; "none" means no rule matched
+const REFERRAL_URGENCIES = ["none", "routine", "soon", "urgent"];
+
+const URGENCY_ORDER = REFERRAL_URGENCIES.reduce((order, urgency, index) => {
+  order[urgency] = index;
+  return order;
+}, {});
+
+// Highest priority first; rules created earlier win ties
+const sortRules = (rules) =>
+  [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0) || (a.createdAt || 0) - (b.createdAt || 0));
+
+const loadActiveRules = async () => sortRules(await ReferralRule.find({ enabled: true }).lean());
+
+// The facts rules are evaluated against. The image's eye counts as progressing when the
+// patient is flagged for that eye, or for any eye when the image's eye is unknown.
+const buildReferralContext = (diagnosis, image, patient) => {
+  const progression = patient?.progression;
+  const examinedAt = image?.capturedAt || diagnosis.diagnosedAt || new Date();
+  return {
+    severity: severityFor(diagnosis, "final"),
+    severityConfidence: diagnosis.severityConfidence,
+    detections: effectiveDetections(diagnosis).map(({ label, confidence, source }) => ({
+      label: String(label).toLowerCase(),
+      confidence,
+      source,
+    })),
+    age: patient?.dateOfBirth ? ageInYears(patient.dateOfBirth, examinedAt) : null,
+    progressing: Boolean(progression?.flagged && (!image?.eye || progression.eyes?.includes(image.eye))),
+    metaPm: deriveMetaPm(diagnosis),
+  };
+};
+
+const isSet = (value) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+// Whether every condition the rule sets holds. Age conditions never match patients
+// without a date of birth.
+const ruleMatches = ({ conditions = {} }, context) => {
+  const {
+    severities,
+    minSeverity,
+    labels,
+    minLabelConfidence,
+    maxSeverityConfidence,
+    minAge,
+    maxAge,
+    progressing,
+    metaPmCategories,
+    plusLesions,
+  } = conditions;
+
+  if (isSet(severities) && !severities.includes(context.severity)) return false;
+  if (isSet(minSeverity) && !(SEVERITY_ORDER[context.severity] >= SEVERITY_ORDER[minSeverity])) return false;
+  if (isSet(labels) || isSet(minLabelConfidence)) {
+    const wanted = isSet(labels) ? new Set(labels.map((label) => String(label).toLowerCase())) : null;
+    const found = context.detections.some(
+      (detection) =>
+        (!wanted || wanted.has(detection.label)) &&
+        (!isSet(minLabelConfidence) || detection.source === "clinician" || detection.confidence >= minLabelConfidence)
+    );
+    if (!found) return false;
+  }
+  if (isSet(maxSeverityConfidence) && !(context.severityConfidence <= maxSeverityConfidence)) return false;
+  if (isSet(minAge) && !(context.age !== null && context.age >= minAge)) return false;
+  if (isSet(maxAge) && !(context.age !== null && context.age <= maxAge)) return false;
+  if (isSet(progressing) && context.progressing !== progressing) return false;
+  if (isSet(metaPmCategories) && !metaPmCategories.includes(context.metaPm.category)) return false;
+  if (isSet(plusLesions) && !plusLesions.some((lesion) => context.metaPm.plusLesions[lesion])) return false;
+  return true;
+};
+
+// The rules matching a context and the one deciding the referral: the most urgent match,
+// or the first of equally urgent ones since rules are sorted by priority
+const matchRules = (rules, context) => {
+  const matched = rules.filter((rule) => rule.enabled !== false && ruleMatches(rule, context));
+  const deciding = matched.reduce(
+    (best, rule) => (!best || URGENCY_ORDER[rule.urgency] > URGENCY_ORDER[best.urgency] ? rule : best),
+    null
+  );
+  return { matched, deciding };
+};
+
+const toReferral = ({ matched, deciding }) => ({
+  urgency: deciding?.urgency || "none",
+  reason: deciding?.reason || null,
+  ruleId: deciding?._id || null,
+  matchedRules: matched.map((rule) => ({
+    ruleId: rule._id || null,
+    name: rule.name,
+    urgency: rule.urgency,
+    reason: rule.reason,
+  })),
+  evaluatedAt: new Date(),
+});
+
+const evaluateReferral = (rules, context) => toReferral(matchRules(rules, context));
+
+// Re-evaluate the referral on each of a patient's current diagnoses
+const applyReferrals = async (patientId, rules) => {
+  const [patient, images] = await Promise.all([
+    Patient.findById(patientId).select("dateOfBirth progression").lean(),
+    RetinalImage.find({ patientId }).select("_id eye capturedAt").lean(),
+  ]);
+  const imagesById = new Map(images.map((image) => [image._id.toString(), image]));
+  const diagnoses = await Diagnosis.find({
+    retinalImageId: { $in: images.map((image) => image._id) },
+    isCurrent: { $ne: false },
+  })
+    .select("retinalImageId severityLevel severityConfidence review yoloDetections annotations diagnosedAt")
+    .lean();
+  if (diagnoses.length === 0) return;
+
+  await Diagnosis.bulkWrite(
+    diagnoses.map((diagnosis) => ({
+      updateOne: {
+        filter: { _id: diagnosis._id },
+        update: {
+          $set: {
+            referral: evaluateReferral(
+              rules,
+              buildReferralContext(diagnosis, imagesById.get(diagnosis.retinalImageId.toString()), patient)
+            ),
+          },
+        },
+      },
+    }))
+  );
+};
+
+// Re-evaluate a patient's referrals with the active rules. Failures are logged rather
+// than thrown so they never break the request that triggered them.
+const refreshReferrals = async (patientId) => {
+  try {
+    await applyReferrals(patientId, await loadActiveRules());
+  } catch (error) {
+    console.error(`Referral update error for patient ${patientId}:`, error);
+  }
+};
+
+// Patients with at least one current diagnosis; nobody else has a referral to update
+const findPatientsWithDiagnoses = async () => {
+  const rows = await Diagnosis.aggregate([
+    { $match: { isCurrent: { $ne: false } } },
+    { $group: { _id: "$retinalImageId" } },
+    {
+      $lookup: {
+        from: RetinalImage.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "image",
+      },
+    },
+    { $unwind: "$image" },
+    { $group: { _id: "$image.patientId" } },
+  ]);
+  return rows.map((row) => row._id);
+};
+
+// Re-evaluate the referrals of every patient with a current diagnosis, a batch of
+// patients at a time. A failing patient is logged and skipped rather than ending the pass.
+const refreshAllReferrals = async () => {
+  const [patientIds, rules] = await Promise.all([findPatientsWithDiagnoses(), loadActiveRules()]);
+  let failed = 0;
+  let nextProgressAt = REFRESH_PROGRESS_INTERVAL;
+
+  for (let start = 0; start < patientIds.length; start += REFRESH_BATCH_SIZE) {
+    const batch = patientIds.slice(start, start + REFRESH_BATCH_SIZE);
+    await Promise.all(
+      batch.map(async (patientId) => {
+        try {
+          await applyReferrals(patientId, rules);
+        } catch (error) {
+          failed++;
+          console.error(`Referral update error for patient ${patientId}:`, error);
+        }
+      })
+    );
+
+    const done = start + batch.length;
+    if (done >= nextProgressAt && done < patientIds.length) {
+      console.log(`Re-evaluated referrals for ${done} of ${patientIds.length} patients.`);
+      nextProgressAt += REFRESH_PROGRESS_INTERVAL;
+    }
+  }
+
+  return { patients: patientIds.length, failed };
+};
+
+// Whether a background pass is running, and whether the rules changed again during it
+let backgroundRefreshRunning = false;
+let backgroundRefreshQueued = false;
+
+// Re-evaluate every referral in the background after the rules change. A change made
+// while a pass is running starts one more pass when it finishes, so the last change wins.
+const scheduleReferralRefresh = () => {
+  if (backgroundRefreshRunning) {
+    backgroundRefreshQueued = true;
+    return;
+  }
+  backgroundRefreshRunning = true;
+  setImmediate(async () => {
+    do {
+      backgroundRefreshQueued = false;
+      // A failed pass still lets a queued one run
+      try {
+        const { patients, failed } = await refreshAllReferrals();
+        console.log(
+          `Re-evaluated referrals for ${patients} patients after a rule change${failed ? ` (${failed} failed)` : ""}.`
+        );
+      } catch (error) {
+        console.error("Background referral refresh error:", error);
+      }
+    } while (backgroundRefreshQueued);
+    backgroundRefreshRunning = false;
+  });
+};
+
+// Evaluate rules against the most recent current diagnoses without saving anything, and
+// compare the outcome with the referrals stored on them
+const dryRunReferralRules = async (rules, { from, to, limit }) => {
+  const query = { isCurrent: { $ne: false } };
+  if (from || to) {
+    query.diagnosedAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+  const diagnoses = await Diagnosis.find(query)
+    .select("retinalImageId severityLevel severityConfidence review yoloDetections annotations diagnosedAt referral")
+    .sort({ diagnosedAt: -1 })
+    .limit(limit)
+    .populate({
+      path: "retinalImageId",
+      select: "patientId eye capturedAt",
+      populate: { path: "patientId", select: "dateOfBirth progression" },
+    })
+    .lean();
+
+  const sortedRules = sortRules(rules);
+  const urgencyCounts = Object.fromEntries(REFERRAL_URGENCIES.map((urgency) => [urgency, 0]));
+  const ruleCounts = sortedRules.map((rule) => ({
+    ruleId: rule._id || null,
+    name: rule.name,
+    urgency: rule.urgency,
+    matched: 0,
+    deciding: 0,
+  }));
+  let changed = 0;
+
+  const items = diagnoses
+    .filter((diagnosis) => diagnosis.retinalImageId)
+    .map((diagnosis) => {
+      const image = diagnosis.retinalImageId;
+      const match = matchRules(sortedRules, buildReferralContext(diagnosis, image, image.patientId));
+      const result = toReferral(match);
+      const currentUrgency = diagnosis.referral?.urgency || null;
+
+      urgencyCounts[result.urgency]++;
+      if (result.urgency !== (currentUrgency || "none")) changed++;
+      sortedRules.forEach((rule, index) => {
+        if (match.matched.includes(rule)) ruleCounts[index].matched++;
+        if (match.deciding === rule) ruleCounts[index].deciding++;
+      });
+
+      return {
+        diagnosisId: diagnosis._id,
+        patientId: image.patientId?._id || null,
+        eye: image.eye || null,
+        severity: severityFor(diagnosis, "final"),
+        currentUrgency,
+        proposedUrgency: result.urgency,
+        reason: result.reason,
+        matchedRules: result.matchedRules.map((match) => match.name),
+      };
+    });
+
+  return {
+    evaluated: items.length,
+    changed,
+    urgencyCounts,
+    rules: ruleCounts,
+    items,
+  };
+};
+
+module.exports = {
+  REFERRAL_URGENCIES,
+  loadActiveRules,
+  buildReferralContext,
+  evaluateReferral,
+  refreshReferrals,
+  refreshAllReferrals,
+  scheduleReferralRefresh,
+  dryRunReferralRules,
+};
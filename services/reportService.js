@@ -0,0 +1,536 @@
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+const Diagnosis = require("../models/Diagnosis");
+const Recommendation = require("../models/Recommendation");
+const RetinalImage = require("../models/RetinalImage");
+const User = require("../models/User");
+const Visit = require("../models/Visit");
+const { ageInYears } = require("../utils/age");
+const { effectiveDetections } = require("../utils/annotations");
+const { severityFor } = require("../utils/severity");
+const { getBuffer } = require("./storageService");
+const { renderDetectionOverlay } = require("./overlayService");
+const { buildPatientTimeline } = require("./progressionService");
+
+// Optional TrueType font for names in scripts the built-in Helvetica cannot draw
+const REPORT_FONT_PATH = process.env.REPORT_FONT_PATH;
+
+const MARGIN = 50;
+const LABEL_WIDTH = 140;
+const DISCLAIMER =
+  "Severity and lesion findings are produced with AI assistance and must be interpreted by a qualified clinician.";
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "-");
+const formatDateTime = (date) =>
+  date ? `${new Date(date).toISOString().slice(0, 16).replace("T", " ")} UTC` : "-";
+const formatPercent = (value) => (typeof value === "number" ? `${Math.round(value * 100)}%` : "-");
+const formatNumber = (value, unit = "") => (typeof value === "number" ? `${value}${unit}` : "-");
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : "-");
+
+// Recommendations are generated as Markdown; print them as plain text
+const plainText = (markdown) =>
+  String(markdown || "")
+    .replace(/^#+\s*/gm, "")
+    .replace(/\*\*(.+?)\*\*/g, "$1")
+    .replace(/^\s*[*-]\s+/gm, "• ")
+    .trim();
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// JPEG small enough for a page, with its size; PDFKit only embeds JPEG and PNG
+const toReportImage = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .resize({ width: 1000, height: 1000, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+// The original image and one with the (corrected) lesion boxes drawn on it, or nulls when
+// the file cannot be read
+const loadFundusImages = async (diagnosis, image, detections) => {
+  try {
+    const buffer = await getBuffer(image.originalImagePath);
+    const overlay = await renderDetectionOverlay(buffer, detections, { inferenceInput: diagnosis.inferenceInput });
+    return { original: await toReportImage(buffer), annotated: await toReportImage(overlay) };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Report could not read image ${image.originalImagePath}:`, error);
+    }
+    return { original: null, annotated: null };
+  }
+};
+
+const summarizeLesions = (detections) => {
+  const counts = detections.reduce((totals, { label }) => {
+    totals[label] = (totals[label] || 0) + 1;
+    return totals;
+  }, {});
+  const summary = Object.entries(counts).map(([label, count]) => `${label} × ${count}`);
+  return summary.length > 0 ? summary.join(", ") : "None";
+};
+
+const metaPmText = (metaPm) => {
+  if (!metaPm?.category) return "-";
+  const plus = Object.entries(metaPm.plusLesions || {})
+    .filter(([, present]) => present)
+    .map(([lesion]) => lesion);
+  return plus.length > 0 ? `${metaPm.category} plus (${plus.join(", ")})` : metaPm.category;
+};
+
+const referralText = (referral) =>
+  referral?.urgency && referral.urgency !== "none"
+    ? `${capitalize(referral.urgency)}: ${referral.reason}`
+    : "No referral rule matched";
+
+// Everything a diagnosis report shows. The diagnosis must have its retinal image and
+// patient populated.
+const buildDiagnosisReport = async (diagnosis) => {
+  const image = diagnosis.retinalImageId;
+  const patient = image.patientId;
+  const detections = effectiveDetections(diagnosis);
+  const visitId = diagnosis.visitId || image.visitId;
+
+  const [doctor, reviewer, recommendation, visit, images] = await Promise.all([
+    User.findById(patient.doctorId).select("name email").lean(),
+    diagnosis.review?.reviewedBy ? User.findById(diagnosis.review.reviewedBy).select("name").lean() : null,
+    Recommendation.findOne({ diagnosisId: diagnosis._id }).sort({ createdAt: -1 }).populate("createdBy", "name").lean(),
+    visitId ? Visit.findById(visitId).lean() : null,
+    loadFundusImages(diagnosis, image, detections),
+  ]);
+
+  return { diagnosis, image, patient, doctor, reviewer, recommendation, visit, detections, images };
+};
+
+// Everything a patient summary shows: visits with their measurements and diagnoses,
+// diagnoses made outside a visit, and the per-eye severity timeline
+const buildPatientReport = async (patient) => {
+  const [doctor, visits, images, timeline] = await Promise.all([
+    User.findById(patient.doctorId).select("name email").lean(),
+    Visit.find({ patientId: patient._id }).sort({ visitDate: 1 }).lean(),
+    RetinalImage.find({ patientId: patient._id }).select("_id eye capturedAt uploadedAt visitId").lean(),
+    buildPatientTimeline(patient._id),
+  ]);
+  const imagesById = new Map(images.map((image) => [image._id.toString(), image]));
+
+  const diagnoses = await Diagnosis.find({
+    retinalImageId: { $in: images.map((image) => image._id) },
+    isCurrent: { $ne: false },
+  })
+    .sort({ diagnosedAt: 1 })
+    .lean();
+  const recommendations = await Recommendation.find({ diagnosisId: { $in: diagnoses.map((d) => d._id) } })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const rows = diagnoses.map((diagnosis) => {
+    const image = imagesById.get(diagnosis.retinalImageId.toString());
+    return {
+      diagnosis,
+      image,
+      visitId: (diagnosis.visitId || image.visitId)?.toString(),
+      recommendation: recommendations.find((r) => r.diagnosisId.toString() === diagnosis._id.toString()),
+    };
+  });
+  const visitIds = new Set(visits.map((visit) => visit._id.toString()));
+
+  return {
+    patient,
+    doctor,
+    timeline,
+    visits: visits.map((visit) => ({
+      visit,
+      rows: rows.filter((row) => row.visitId === visit._id.toString()),
+    })),
+    otherRows: rows.filter((row) => !row.visitId || !visitIds.has(row.visitId)),
+  };
+};
+
+// PDF drawing helpers
+
+const createDocument = (title) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: title, Producer: "Myopia-Dx" },
+  });
+  if (REPORT_FONT_PATH) {
+    doc.registerFont("Regular", REPORT_FONT_PATH);
+    doc.registerFont("Bold", REPORT_FONT_PATH);
+  } else {
+    doc.registerFont("Regular", "Helvetica");
+    doc.registerFont("Bold", "Helvetica-Bold");
+  }
+  return doc.font("Regular").fontSize(10);
+};
+
+// End the document and collect it into a buffer
+const finish = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    addFooters(doc);
+    doc.end();
+  });
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page when less than height is left on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const title = (doc, text, subtitle) => {
+  doc.font("Bold").fontSize(18).text(text, MARGIN, MARGIN);
+  doc.font("Regular").fontSize(9).fillColor("#555555").text(subtitle).fillColor("black").fontSize(10);
+  doc.moveDown();
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.font("Bold").fontSize(12).text(text, MARGIN);
+  const y = doc.y + 2;
+  doc
+    .moveTo(MARGIN, y)
+    .lineTo(MARGIN + contentWidth(doc), y)
+    .strokeColor("#999999")
+    .stroke();
+  doc.font("Regular").fontSize(10).moveDown(0.5);
+};
+
+// Label/value rows
+const fields = (doc, rows) => {
+  const valueWidth = contentWidth(doc) - LABEL_WIDTH - 10;
+  rows.forEach(([label, value]) => {
+    const text = value === undefined || value === null || value === "" ? "-" : String(value);
+    ensureSpace(doc, doc.heightOfString(text, { width: valueWidth }) + 4);
+    const y = doc.y;
+    doc.font("Bold").text(label, MARGIN, y, { width: LABEL_WIDTH });
+    const labelBottom = doc.y;
+    doc.font("Regular").text(text, MARGIN + LABEL_WIDTH + 10, y, { width: valueWidth });
+    doc.y = Math.max(labelBottom, doc.y) + 2;
+  });
+  doc.x = MARGIN;
+};
+
+// Table with a header row; widths are fractions of the content width
+const table = (doc, columns, rows) => {
+  const total = contentWidth(doc);
+  const widths = columns.map((column) => column.width * total);
+
+  const drawRow = (cells, font) => {
+    doc.font(font);
+    const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell), { width: widths[index] - 6 })));
+    ensureSpace(doc, height + 6);
+    const y = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + 3, y + 3, { width: widths[index] - 6 });
+      x += widths[index];
+    });
+    doc.y = y + height + 6;
+    doc
+      .moveTo(MARGIN, doc.y)
+      .lineTo(MARGIN + total, doc.y)
+      .strokeColor("#dddddd")
+      .stroke();
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    "Bold"
+  );
+  rows.forEach((row) => drawRow(row, "Regular"));
+  doc.font("Regular").moveDown(0.5);
+  doc.x = MARGIN;
+};
+
+const paragraph = (doc, text) => {
+  doc.font("Regular").text(text || "-", MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.5);
+};
+
+// Page numbers and the disclaimer at the bottom of every page
+const addFooters = (doc) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const { bottom } = doc.page.margins;
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Regular")
+      .fontSize(7)
+      .fillColor("#777777")
+      .text(DISCLAIMER, MARGIN, doc.page.height - bottom + 10, { width: contentWidth(doc) - 60 })
+      .text(`Page ${index + 1} of ${count}`, MARGIN, doc.page.height - bottom + 10, {
+        width: contentWidth(doc),
+        align: "right",
+      });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.fillColor("black");
+};
+
+const patientFields = (patient, at) => [
+  ["Name", patient.name],
+  ["Patient code", patient.patientCode],
+  ["Gender", capitalize(patient.gender)],
+  [
+    "Date of birth",
+    patient.dateOfBirth ? `${formatDate(patient.dateOfBirth)} (age ${ageInYears(patient.dateOfBirth, at)})` : "-",
+  ],
+];
+
+const eyeExamText = (exam) => {
+  if (!exam) return ["-", "-", "-", "-"];
+  const acuity = exam.visualAcuity || {};
+  const acuityParts = [
+    acuity.snellen,
+    typeof acuity.logMAR === "number" ? `logMAR ${acuity.logMAR}` : null,
+    acuity.correction,
+  ].filter(Boolean);
+  return [
+    formatNumber(exam.sphericalEquivalent, " D"),
+    formatNumber(exam.axialLength, " mm"),
+    acuityParts.length > 0 ? acuityParts.join(", ") : "-",
+    formatNumber(exam.iop, " mmHg"),
+  ];
+};
+
+const diagnosisRows = (rows) =>
+  rows.map(({ diagnosis, image }) => [
+    capitalize(image.eye),
+    formatDate(image.capturedAt || image.uploadedAt),
+    capitalize(severityFor(diagnosis, "final")),
+    metaPmText(diagnosis.metaPm),
+    capitalize(diagnosis.referral?.urgency || "none"),
+    summarizeLesions(effectiveDetections(diagnosis)),
+  ]);
+
+const DIAGNOSIS_COLUMNS = [
+  { header: "Eye", width: 0.09 },
+  { header: "Taken", width: 0.14 },
+  { header: "Severity", width: 0.12 },
+  { header: "META-PM", width: 0.2 },
+  { header: "Referral", width: 0.12 },
+  { header: "Lesions", width: 0.33 },
+];
+
+// Render a diagnosis report built by buildDiagnosisReport into a PDF buffer
+const renderDiagnosisReport = (report) => {
+  const { diagnosis, image, patient, doctor, reviewer, recommendation, visit, detections, images } = report;
+  const doc = createDocument("Diagnosis report");
+  title(doc, "Diagnosis report", `Generated ${formatDateTime(new Date())} · Diagnosis ${diagnosis._id}`);
+
+  heading(doc, "Patient");
+  fields(doc, patientFields(patient, image.capturedAt || diagnosis.diagnosedAt));
+
+  heading(doc, "Examination");
+  fields(doc, [
+    ["Eye", capitalize(image.eye)],
+    ["Image taken", formatDateTime(image.capturedAt)],
+    ["Capture device", image.captureDevice],
+    ["Visit", visit ? `${formatDate(visit.visitDate)}${visit.reason ? `, ${visit.reason}` : ""}` : "-"],
+    ["Diagnosed", `${formatDateTime(diagnosis.diagnosedAt)} (revision ${diagnosis.revision || 1})`],
+  ]);
+
+  heading(doc, "Fundus images");
+  if (images.original) {
+    const width = (contentWidth(doc) - 20) / 2;
+    // Portrait images are capped at a square so both fit on the page
+    const height = Math.min(width, (width * images.original.height) / images.original.width);
+    ensureSpace(doc, height + 20);
+    const y = doc.y;
+    doc.image(images.original.data, MARGIN, y, { fit: [width, height], align: "center" });
+    doc.image(images.annotated.data, MARGIN + width + 20, y, { fit: [width, height], align: "center" });
+    doc.fontSize(9).text("Original", MARGIN, y + height + 4, { width, align: "center" });
+    doc.text(`Annotated (${detections.length} lesion boxes)`, MARGIN + width + 20, y + height + 4, {
+      width,
+      align: "center",
+    });
+    doc.fontSize(10).moveDown();
+    doc.x = MARGIN;
+  } else {
+    paragraph(doc, "The image file is not available.");
+  }
+
+  heading(doc, "Findings");
+  const { review } = diagnosis;
+  const reviewed = review?.status && review.status !== "pending_review";
+  fields(doc, [
+    ["AI severity", `${capitalize(diagnosis.severityLevel)} (confidence ${formatPercent(diagnosis.severityConfidence)})`],
+    [
+      "Final severity",
+      reviewed
+        ? `${capitalize(review.finalSeverity)}, ${review.status} by ${reviewer?.name || "a doctor"} on ${formatDate(review.reviewedAt)}`
+        : "Not reviewed yet",
+    ],
+    ...(reviewed && review.reason ? [["Review reason", review.reason]] : []),
+    ["META-PM", metaPmText(diagnosis.metaPm)],
+    ["Referral", referralText(diagnosis.referral)],
+  ]);
+
+  heading(doc, "Detected lesions");
+  if (detections.length > 0) {
+    table(
+      doc,
+      [
+        { header: "#", width: 0.06 },
+        { header: "Lesion", width: 0.3 },
+        { header: "Confidence", width: 0.16 },
+        { header: "Source", width: 0.16 },
+        { header: "Box (x, y, width, height)", width: 0.32 },
+      ],
+      detections.map((detection, index) => {
+        const box = detection.boundingBox || {};
+        return [
+          index + 1,
+          detection.label,
+          formatPercent(detection.confidence),
+          capitalize(detection.source),
+          [box.x, box.y, box.width, box.height].map((value) => Math.round(value ?? 0)).join(", "),
+        ];
+      })
+    );
+  } else {
+    paragraph(doc, "No lesions detected.");
+  }
+
+  heading(doc, "Doctor's notes");
+  paragraph(doc, diagnosis.notes || "None");
+
+  heading(doc, "Recommendation");
+  if (recommendation) {
+    doc
+      .fontSize(9)
+      .fillColor("#555555")
+      .text(`${formatDateTime(recommendation.createdAt)}${recommendation.createdBy?.name ? `, requested by ${recommendation.createdBy.name}` : ""}`);
+    doc.fillColor("black").fontSize(10).moveDown(0.3);
+    paragraph(doc, plainText(recommendation.recommendationText));
+  } else {
+    paragraph(doc, "No recommendation has been generated.");
+  }
+
+  heading(doc, "Doctor");
+  fields(doc, [
+    ["Name", doctor?.name],
+    ["Email", doctor?.email],
+  ]);
+
+  return finish(doc);
+};
+
+// Render a patient summary built by buildPatientReport
+const renderPatientReport = (report) => {
+  const { patient, doctor, timeline, visits, otherRows } = report;
+  const doc = createDocument("Patient summary report");
+  title(doc, "Patient summary report", `Generated ${formatDateTime(new Date())}`);
+
+  heading(doc, "Patient");
+  fields(doc, [
+    ...patientFields(patient, new Date()),
+    ["Doctor", doctor?.name],
+    [
+      "Progression",
+      patient.progression?.flagged ? patient.progression.reasons.join("; ") : "Not flagged as progressing",
+    ],
+  ]);
+
+  heading(doc, "Severity over time");
+  if (timeline.eyes.length > 0) {
+    timeline.eyes.forEach((eyeTimeline) => {
+      ensureSpace(doc, 60);
+      doc.font("Bold").text(`${capitalize(eyeTimeline.eye)} eye`, MARGIN).font("Regular").moveDown(0.3);
+      table(
+        doc,
+        [
+          { header: "Taken", width: 0.16 },
+          { header: "Severity", width: 0.14 },
+          { header: "Review", width: 0.16 },
+          { header: "Lesions", width: 0.12 },
+          { header: "Change", width: 0.42 },
+        ],
+        eyeTimeline.entries.map((entry) => [
+          formatDate(entry.date),
+          capitalize(entry.severity),
+          entry.reviewStatus.replace("_", " "),
+          entry.lesionTotal,
+          [
+            entry.transition && entry.transition.direction !== "unchanged"
+              ? `${entry.transition.from} to ${entry.transition.to}`
+              : null,
+            entry.newLabels.length > 0 ? `new: ${entry.newLabels.join(", ")}` : null,
+          ]
+            .filter(Boolean)
+            .join("; ") || "-",
+        ])
+      );
+    });
+  } else {
+    paragraph(doc, "No diagnoses yet.");
+  }
+
+  heading(doc, "Visits");
+  if (visits.length === 0) {
+    paragraph(doc, "No visits recorded.");
+  }
+  visits.forEach(({ visit, rows }) => {
+    ensureSpace(doc, 120);
+    doc
+      .font("Bold")
+      .text(`${formatDate(visit.visitDate)}${visit.reason ? ` · ${visit.reason}` : ""}`, MARGIN)
+      .font("Regular")
+      .moveDown(0.3);
+    if (visit.right || visit.left) {
+      table(
+        doc,
+        [
+          { header: "Eye", width: 0.1 },
+          { header: "Spherical eq.", width: 0.18 },
+          { header: "Axial length", width: 0.18 },
+          { header: "Visual acuity", width: 0.34 },
+          { header: "IOP", width: 0.2 },
+        ],
+        [
+          ["Right", ...eyeExamText(visit.right)],
+          ["Left", ...eyeExamText(visit.left)],
+        ]
+      );
+    }
+    if (visit.notes) {
+      paragraph(doc, `Notes: ${visit.notes}`);
+    }
+    if (rows.length > 0) {
+      table(doc, DIAGNOSIS_COLUMNS, diagnosisRows(rows));
+      const latest = rows
+        .map((row) => row.recommendation)
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+      if (latest) {
+        paragraph(doc, `Recommendation: ${truncate(plainText(latest.recommendationText), 1500)}`);
+      }
+    }
+    doc.moveDown(0.5);
+  });
+
+  if (otherRows.length > 0) {
+    heading(doc, "Diagnoses outside a visit");
+    table(doc, DIAGNOSIS_COLUMNS, diagnosisRows(otherRows));
+  }
+
+  return finish(doc);
+};
+
+module.exports = {
+  buildDiagnosisReport,
+  buildPatientReport,
+  renderDiagnosisReport,
+  renderPatientReport,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const RetinalImage = require("../models/RetinalImage");
+const { hashFile } = require("../utils/fileHash");
+const { assessImageQuality } = require("./imageQualityService");
+const { preprocessRetinalImage, removeDerivatives } = require("./imagePreprocessingService");
+const { isDicomFile, ingestDicomFile } = require("./dicomService");
+const { putFile, removeFile } = require("./storageService");
+
+// Reject ungradable uploads unless the request says otherwise
+const REJECT_UNGRADABLE = process.env.QUALITY_REJECT_UNGRADABLE === "true";
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB; DICOM uploads may be larger
+
+// Errors the caller should report to the client with the given status
+const ingestionError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Compare names ignoring case, punctuation and word order ("DOE^JANE" vs "Jane Doe")
+const sameName = (a, b) => {
+  const normalize = (name) => name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).sort().join(" ");
+  return normalize(a) === normalize(b);
+};
+
+// Remove a temporary file if it exists
+const removeTempFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error deleting file:", error);
+    }
+  }
+};
+
+// Run a temporary upload through DICOM extraction, preprocessing, the quality gate and
+// duplicate detection, then store it and create the RetinalImage. The temporary file is
+// always removed. Throws errors with a status for uploads that should be rejected.
+const ingestRetinalImage = async ({
+  filePath,
+  patient,
+  uploadedBy,
+  rejectUngradable = REJECT_UNGRADABLE,
+  capture = {},
+  visitId,
+}) => {
+  let imageFilePath = filePath;
+  let processed;
+  let dicom;
+  let storedPath;
+  try {
+    // Sniff the content rather than trusting the declared type or extension
+    const isDicom = await isDicomFile(filePath);
+    if (!isDicom) {
+      const [{ size }, format] = await Promise.all([
+        fs.stat(filePath),
+        sharp(filePath)
+          .metadata()
+          .then((metadata) => metadata.format)
+          .catch(() => null),
+      ]);
+      if (!["jpeg", "png"].includes(format)) {
+        throw ingestionError(400, "Only JPEG, PNG or DICOM files are allowed.");
+      }
+      if (size > MAX_IMAGE_SIZE) {
+        throw ingestionError(400, "JPEG and PNG images must be 5MB or smaller.");
+      }
+    }
+
+    // Archive the DICOM file and carry on with the image extracted from its pixel data
+    if (isDicom) {
+      try {
+        ({ imagePath: imageFilePath, dicom } = await ingestDicomFile(filePath));
+      } catch (dicomError) {
+        console.error("DICOM ingestion error:", dicomError);
+        throw ingestionError(400, dicomError.message);
+      }
+    }
+    const originalImagePath = `uploads/input/${path.basename(imageFilePath)}`;
+
+    // Strip metadata, fix orientation and build the normalised copy and thumbnails
+    try {
+      processed = await preprocessRetinalImage(imageFilePath);
+    } catch (processingError) {
+      console.error("Image preprocessing error:", processingError);
+      throw ingestionError(400, "The uploaded file could not be read as an image.");
+    }
+
+    const quality = await assessImageQuality(imageFilePath);
+    if (!quality.gradable && rejectUngradable) {
+      throw ingestionError(422, "Image rejected by the quality gate.", { quality });
+    }
+
+    const contentHash = await hashFile(imageFilePath);
+    const duplicate = await RetinalImage.findOne({ patientId: patient._id, contentHash }).select("_id uploadedAt");
+
+    await putFile(originalImagePath, imageFilePath);
+    storedPath = originalImagePath;
+
+    // Values sent with the upload win over those read from a DICOM header
+    const { eye, captureDevice, fieldOfView, capturedAt } = capture;
+    const dicomEye = ["left", "right"].includes(dicom?.laterality) ? dicom.laterality : undefined;
+    const dicomDevice = [dicom?.manufacturer, dicom?.manufacturerModelName].filter(Boolean).join(" ");
+
+    const image = await RetinalImage.create({
+      patientId: patient._id,
+      uploadedBy,
+      originalImagePath,
+      visitId,
+      eye: eye || dicomEye,
+      captureDevice: captureDevice || dicomDevice || undefined,
+      fieldOfView: fieldOfView ?? dicom?.horizontalFieldOfView,
+      capturedAt: capturedAt || dicom?.acquisitionDate,
+      originalMetadata: processed.original,
+      derivatives: {
+        source: processed.source,
+        normalized: processed.normalized,
+        thumbnails: processed.thumbnails,
+        processedAt: processed.processedAt,
+      },
+      dicom,
+      contentHash,
+      quality,
+    });
+
+    const warnings = [];
+    if (!quality.gradable) {
+      warnings.push(`Image may be ungradable: ${quality.reasons.join(" ")}`);
+    }
+    if (duplicate) {
+      warnings.push("This image has already been uploaded for this patient.");
+    }
+    if (eye && dicomEye && eye !== dicomEye) {
+      warnings.push(`The DICOM header records the ${dicomEye} eye but ${eye} was selected.`);
+    }
+    if (dicom?.patientName && !sameName(dicom.patientName, patient.name)) {
+      warnings.push(`DICOM patient name "${dicom.patientName}" does not match "${patient.name}".`);
+    }
+
+    return { image, warnings, duplicate };
+  } catch (error) {
+    await removeFile(storedPath);
+    await removeFile(dicom?.archivePath);
+    await removeDerivatives(processed);
+    throw error;
+  } finally {
+    // The upload only lives in the temporary directory until it is stored
+    await removeTempFile(filePath);
+    await removeTempFile(imageFilePath);
+  }
+};
+
+module.exports = {
+  ingestRetinalImage,
+  removeTempFile,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+
+const notFound = (key) => {
+  const error = new Error(`File not found: ${key}`);
+  error.code = "ENOENT";
+  return error;
+};
+
+// Keys map to files under the root directory, so existing uploads/ paths keep working
+const createLocalDriver = ({ root }) => {
+  const resolve = (key) => path.join(root, ...key.split("/"));
+
+  const stat = async (key) => {
+    try {
+      return await fs.promises.stat(resolve(key));
+    } catch (error) {
+      if (error.code === "ENOENT") throw notFound(key);
+      throw error;
+    }
+  };
+
+  return {
+    name: "local",
+
+    putFile: async (key, filePath) => {
+      const target = resolve(key);
+      if (path.resolve(filePath) === target) return;
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(filePath, target);
+    },
+
+    putBuffer: async (key, buffer) => {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+    },
+
+    getStream: async (key) => {
+      const { size, mtime } = await stat(key);
+      return { stream: fs.createReadStream(resolve(key)), size, lastModified: mtime };
+    },
+
+    getBuffer: async (key) => {
+      await stat(key);
+      return fs.promises.readFile(resolve(key));
+    },
+
+    exists: async (key) => {
+      try {
+        await stat(key);
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+
+    // Files are already on disk, so the callback reads them in place
+    withLocalFile: async (key, callback) => {
+      await stat(key);
+      return callback(resolve(key));
+    },
+  };
+};
+
+module.exports = { createLocalDriver };
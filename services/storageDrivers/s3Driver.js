@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+const TEMP_DIR = path.join(os.tmpdir(), "myopia-storage");
+
+const isMissing = (error) =>
+  error.name === "NoSuchKey" || error.name === "NotFound" || error.$metadata?.httpStatusCode === 404;
+
+const notFound = (key) => {
+  const error = new Error(`File not found: ${key}`);
+  error.code = "ENOENT";
+  return error;
+};
+
+// Works with AWS S3 and S3-compatible services such as MinIO (set endpoint and forcePathStyle)
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver.");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Only send checksums when an operation requires them; not every S3-compatible service supports them
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+  const objectKey = (key) => (prefix ? `${prefix.replace(/\/+$/, "")}/${key}` : key);
+
+  const getObject = async (key) => {
+    try {
+      return await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    } catch (error) {
+      if (isMissing(error)) throw notFound(key);
+      throw error;
+    }
+  };
+
+  return {
+    name: "s3",
+
+    putFile: async (key, filePath, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(filePath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(filePath),
+          ContentLength: size,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    putBuffer: async (key, buffer, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    getStream: async (key) => {
+      const response = await getObject(key);
+      return {
+        stream: response.Body,
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+      };
+    },
+
+    getBuffer: async (key) => {
+      const response = await getObject(key);
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isMissing(error)) return false;
+        throw error;
+      }
+    },
+
+    // Deleting a missing object succeeds, matching the local driver
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    // Download to a temporary file for libraries that need a path, e.g. sharp and multipart uploads
+    withLocalFile: async (key, callback) => {
+      const response = await getObject(key);
+      await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+      const tempPath = path.join(TEMP_DIR, `${crypto.randomUUID()}${path.extname(key)}`);
+      try {
+        await fs.promises.writeFile(tempPath, response.Body);
+        return await callback(tempPath);
+      } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
+      }
+    },
+  };
+};
+
+module.exports = { createS3Driver };
@@ -0,0 +1,98 @@
+const path = require("path");
+const { createLocalDriver } = require("./storageDrivers/localDriver");
+const { createS3Driver } = require("./storageDrivers/s3Driver");
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".dcm": "application/dicom",
+};
+
+const drivers = {
+  local: () =>
+    createLocalDriver({
+      root: path.resolve(process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, "..")),
+    }),
+  s3: () =>
+    createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO and most self-hosted services need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(process.env.S3_ENDPOINT),
+      prefix: process.env.S3_PREFIX,
+    }),
+};
+
+if (!drivers[STORAGE_DRIVER]) {
+  throw new Error(
+    `Unknown storage driver "${STORAGE_DRIVER}". Expected one of: ${Object.keys(drivers).join(", ")}`
+  );
+}
+const driver = drivers[STORAGE_DRIVER]();
+
+// Storage keys are the relative paths stored on records, e.g. "uploads/input/123.jpg"
+const toStorageKey = (filePath) => {
+  const key = String(filePath).split(path.sep).join("/").replace(/^\/+/, "");
+  if (!key || key.split("/").some((segment) => segment === ".." || segment === ".")) {
+    throw new Error(`Invalid storage key: ${filePath}`);
+  }
+  return key;
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+// Copy a local file into storage under the given key
+const putFile = (key, filePath, options = {}) => {
+  const storageKey = toStorageKey(key);
+  return driver.putFile(storageKey, filePath, { contentType: contentTypeFor(storageKey), ...options });
+};
+
+const putBuffer = (key, buffer, options = {}) => {
+  const storageKey = toStorageKey(key);
+  return driver.putBuffer(storageKey, buffer, { contentType: contentTypeFor(storageKey), ...options });
+};
+
+// Resolves to { stream, size, contentType, lastModified }; rejects with code ENOENT when missing
+const getStream = async (key) => {
+  const storageKey = toStorageKey(key);
+  const file = await driver.getStream(storageKey);
+  return { ...file, contentType: file.contentType || contentTypeFor(storageKey) };
+};
+
+const getBuffer = (key) => driver.getBuffer(toStorageKey(key));
+
+const exists = (key) => driver.exists(toStorageKey(key));
+
+// Delete a stored file; missing files are ignored
+const removeFile = async (key) => {
+  if (!key) return;
+  try {
+    await driver.remove(toStorageKey(key));
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error);
+  }
+};
+
+// Run callback with a local path to the stored file, for code that needs one (sharp, hashing, inference)
+const withLocalFile = (key, callback) => driver.withLocalFile(toStorageKey(key), callback);
+
+module.exports = {
+  storageDriver: driver.name,
+  toStorageKey,
+  putFile,
+  putBuffer,
+  getStream,
+  getBuffer,
+  exists,
+  removeFile,
+  withLocalFile,
+};
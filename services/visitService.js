@@ -0,0 +1,19 @@
+const Diagnosis = require("../models/Diagnosis");
+const RetinalImage = require("../models/RetinalImage");
+const Visit = require("../models/Visit");
+
+// Link retinal images, and their diagnoses, to a visit; a null visitId unlinks them
+const setImagesVisit = async (retinalImageIds, visitId) => {
+  if (retinalImageIds.length === 0) return;
+  const update = visitId ? { $set: { visitId } } : { $unset: { visitId: "" } };
+  await RetinalImage.updateMany({ _id: { $in: retinalImageIds } }, update);
+  await Diagnosis.updateMany({ retinalImageId: { $in: retinalImageIds } }, update);
+};
+
+// A visit that belongs to the given patient, or null
+const findPatientVisit = (visitId, patientId) => Visit.findOne({ _id: visitId, patientId });
+
+module.exports = {
+  setImagesVisit,
+  findPatientVisit,
+};
@@ -0,0 +1,89 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const path = require("path");
+const retry = require("async-retry");
+const { getBuffer, putBuffer } = require("./storageService");
+
+const YOLO_ENDPOINT = process.env.YOLO_ENDPOINT || "https://collinz56-myopia-yolo.hf.space/infer";
+const DOWNLOAD_TIMEOUT = parseInt(process.env.INFERENCE_TIMEOUT) || 30000; // 30 seconds
+const MAX_RETRIES = parseInt(process.env.INFERENCE_MAX_RETRIES) || 3;
+const OUTPUT_DIR = "uploads/output";
+
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/webp": ".webp",
+};
+
+// The YOLO space returns paths like "/static/result.png" relative to its own host
+const resolveOutputUrl = (outputImage) => new URL(outputImage, YOLO_ENDPOINT).toString();
+
+const fetchOutputImage = async (outputImage) => {
+  const dataUrl = /^data:(image\/[\w+.-]+);base64,(.*)$/s.exec(outputImage);
+  if (dataUrl) {
+    return { buffer: Buffer.from(dataUrl[2], "base64"), contentType: dataUrl[1], sourceUrl: null };
+  }
+
+  const sourceUrl = resolveOutputUrl(outputImage);
+  const response = await retry(
+    async (bail) => {
+      try {
+        return await axios.get(sourceUrl, {
+          responseType: "arraybuffer",
+          timeout: DOWNLOAD_TIMEOUT,
+        });
+      } catch (error) {
+        // A missing file will not appear on retry
+        if (error.response && error.response.status < 500) {
+          bail(error);
+          return;
+        }
+        throw error;
+      }
+    },
+    { retries: MAX_RETRIES, factor: 2, minTimeout: 1000, maxTimeout: 5000 }
+  );
+
+  const contentType = (response.headers["content-type"] || "").split(";")[0].trim();
+  if (!contentType.startsWith("image/")) {
+    throw new Error(`Unexpected content type for YOLO output image: ${contentType || "unknown"}`);
+  }
+  return { buffer: Buffer.from(response.data), contentType, sourceUrl };
+};
+
+// Download the annotated image and save it to storage under uploads/output so it outlives the inference space
+const persistYoloOutput = async (outputImage, retinalImageId) => {
+  const { buffer, contentType, sourceUrl } = await fetchOutputImage(outputImage);
+  if (buffer.length === 0) {
+    throw new Error("YOLO output image is empty.");
+  }
+
+  const extension = EXTENSIONS[contentType] || path.extname(new URL(outputImage, YOLO_ENDPOINT).pathname) || ".png";
+  const filename = `${retinalImageId}-${Date.now()}${extension}`;
+  const outputPath = `${OUTPUT_DIR}/${filename}`;
+
+  await putBuffer(outputPath, buffer, { contentType });
+
+  return {
+    path: outputPath,
+    checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+    size: buffer.length,
+    contentType,
+    sourceUrl,
+    downloadedAt: new Date(),
+  };
+};
+
+// Give another retinal image its own copy of an annotated image that is already stored
+const copyYoloOutput = async (yoloOutput, retinalImageId) => {
+  const outputPath = `${OUTPUT_DIR}/${retinalImageId}-${Date.now()}${path.extname(yoloOutput.path)}`;
+  await putBuffer(outputPath, await getBuffer(yoloOutput.path), { contentType: yoloOutput.contentType });
+
+  return { ...yoloOutput, path: outputPath };
+};
+
+module.exports = {
+  persistYoloOutput,
+  copyYoloOutput,
+};
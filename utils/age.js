@@ -0,0 +1,14 @@
+// Whole years between a date of birth and another date (today by default)
+const ageInYears = (dateOfBirth, at = new Date()) => {
+  const birth = new Date(dateOfBirth);
+  const date = new Date(at);
+  let age = date.getFullYear() - birth.getFullYear();
+  if (date.getMonth() < birth.getMonth() || (date.getMonth() === birth.getMonth() && date.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+module.exports = {
+  ageInYears,
+};
@@ -0,0 +1,38 @@
+const toBox = ({ x, y, width, height }) => ({ x, y, width, height });
+
+// Copy the model detections into annotations so they can be edited. Only runs once per
+// diagnosis; afterwards the annotations are the clinician-reviewed set of boxes.
+const seedAnnotations = (diagnosis) => {
+  if (diagnosis.annotations.length > 0) return;
+  diagnosis.yoloDetections.forEach((detection) => {
+    diagnosis.annotations.push({
+      source: "model",
+      detectionId: detection._id,
+      label: detection.label,
+      confidence: detection.confidence,
+      boundingBox: toBox(detection.boundingBox),
+      createdAt: diagnosis.diagnosedAt,
+    });
+  });
+};
+
+// The boxes to use downstream: the live annotations once a clinician has made any
+// correction, otherwise the model detections
+const effectiveDetections = (diagnosis) => {
+  const annotations = diagnosis.annotations || [];
+  if (annotations.length === 0) {
+    return (diagnosis.yoloDetections || []).map((detection) => ({
+      _id: detection._id,
+      source: "model",
+      label: detection.label,
+      confidence: detection.confidence,
+      boundingBox: detection.boundingBox,
+    }));
+  }
+  return annotations.filter((annotation) => !annotation.deletedAt);
+};
+
+module.exports = {
+  seedAnnotations,
+  effectiveDetections,
+};
@@ -0,0 +1,86 @@
+const { SEVERITY_ORDER } = require("./severity");
+
+const MATCH_IOU_THRESHOLD = 0.5;
+
+// Intersection over union of two { x, y, width, height } boxes
+const iou = (a, b) => {
+  if (!a || !b) return 0;
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+const toPlainDetection = (detection) => ({
+  ...(detection._id && { id: detection._id }),
+  label: detection.label,
+  confidence: detection.confidence,
+  boundingBox: detection.boundingBox,
+});
+
+// Pair detections with the same label by best overlap; the rest count as added or removed
+const diffDetections = (fromDetections = [], toDetections = []) => {
+  const unmatchedTo = toDetections.map((detection, index) => ({ detection, index }));
+  const matched = [];
+  const removed = [];
+
+  fromDetections.forEach((fromDetection) => {
+    let best = null;
+    unmatchedTo.forEach((candidate, position) => {
+      if (candidate.detection.label !== fromDetection.label) return;
+      const overlap = iou(fromDetection.boundingBox, candidate.detection.boundingBox);
+      if (overlap >= MATCH_IOU_THRESHOLD && (!best || overlap > best.overlap)) {
+        best = { position, overlap };
+      }
+    });
+
+    if (!best) {
+      removed.push(toPlainDetection(fromDetection));
+      return;
+    }
+
+    const [{ detection: toDetection }] = unmatchedTo.splice(best.position, 1);
+    matched.push({
+      label: fromDetection.label,
+      from: toPlainDetection(fromDetection),
+      to: toPlainDetection(toDetection),
+      iou: Number(best.overlap.toFixed(3)),
+      confidenceDelta: Number(((toDetection.confidence || 0) - (fromDetection.confidence || 0)).toFixed(3)),
+    });
+  });
+
+  const labelCounts = {};
+  const count = (detections, key) =>
+    detections.forEach(({ label }) => {
+      labelCounts[label] = labelCounts[label] || { from: 0, to: 0 };
+      labelCounts[label][key]++;
+    });
+  count(fromDetections, "from");
+  count(toDetections, "to");
+
+  return {
+    added: unmatchedTo.map(({ detection }) => toPlainDetection(detection)),
+    removed,
+    matched,
+    labelCounts,
+  };
+};
+
+const diffSeverity = (fromSeverity, toSeverity) => {
+  const delta = (SEVERITY_ORDER[toSeverity] ?? 0) - (SEVERITY_ORDER[fromSeverity] ?? 0);
+  return {
+    from: fromSeverity,
+    to: toSeverity,
+    changed: fromSeverity !== toSeverity,
+    direction: delta > 0 ? "worse" : delta < 0 ? "better" : "unchanged",
+  };
+};
+
+module.exports = {
+  iou,
+  diffDetections,
+  diffSeverity,
+};
@@ -0,0 +1,14 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// SHA-256 of a file's bytes, streamed so large uploads are not held in memory
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+module.exports = { hashFile };
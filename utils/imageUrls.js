@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const path = require("path");
+
+// Signed image links stay valid for IMAGE_URL_TTL seconds (15 minutes by default)
+const IMAGE_URL_TTL = parseInt(process.env.IMAGE_URL_TTL) || 900;
+
+const signingSecret = () => process.env.IMAGE_URL_SECRET || process.env.JWT_SECRET;
+
+// Storage key ("uploads/input/1.jpg") for a stored file path
+const toUploadKey = (filePath) => filePath.split(path.sep).join("/").replace(/^\/+/, "");
+
+const computeSignature = (key, expires) =>
+  crypto.createHmac("sha256", signingSecret()).update(`${key}:${expires}`).digest("base64url");
+
+// URL that grants access to one file until it expires, without an Authorization header.
+// Expiry is rounded up to the next TTL window so repeated responses reuse the same URL
+// and browsers can cache the image.
+const signUploadUrl = (filePath, { ttl = IMAGE_URL_TTL } = {}) => {
+  if (!filePath) return null;
+  const key = toUploadKey(filePath);
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Math.ceil((now + ttl) / ttl) * ttl;
+  return `/${key}?expires=${expires}&signature=${computeSignature(key, expires)}`;
+};
+
+// Check a signature from a signed URL against the requested key
+const verifyUploadSignature = (key, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(computeSignature(key, expiresAt));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Add signed image and thumbnail URLs to a retinal image (document or plain object) for API responses
+const withImageUrls = (image) => {
+  const data = typeof image.toObject === "function" ? image.toObject() : image;
+  const thumbnails = [...(data.derivatives?.thumbnails || [])].sort((a, b) => a.maxSize - b.maxSize);
+
+  return {
+    ...data,
+    imageUrl: signUploadUrl(data.originalImagePath),
+    yoloOutputUrl: signUploadUrl(data.yoloOutputPath),
+    // The largest thumbnail suits list views; smaller ones are listed by size
+    thumbnailUrl: signUploadUrl(thumbnails[thumbnails.length - 1]?.path),
+    thumbnailUrls: thumbnails.reduce((urls, thumbnail) => {
+      urls[thumbnail.maxSize] = signUploadUrl(thumbnail.path);
+      return urls;
+    }, {}),
+  };
+};
+
+// Add signed URLs to a diagnosis and its populated retinal image
+const withDiagnosisUrls = (diagnosis) => {
+  const data = typeof diagnosis.toObject === "function" ? diagnosis.toObject() : diagnosis;
+  const retinalImage = data.retinalImageId?.originalImagePath ? withImageUrls(data.retinalImageId) : data.retinalImageId;
+  // Older diagnoses only recorded the annotated image on the retinal image
+  const outputPath =
+    data.yoloOutput?.path || (data.isCurrent !== false ? data.retinalImageId?.yoloOutputPath : null);
+
+  return {
+    ...data,
+    retinalImageId: retinalImage,
+    yoloOutputUrl: signUploadUrl(outputPath),
+  };
+};
+
+module.exports = {
+  toUploadKey,
+  signUploadUrl,
+  verifyUploadSignature,
+  withImageUrls,
+  withDiagnosisUrls,
+};
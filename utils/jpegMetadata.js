@@ -0,0 +1,74 @@
+// Markers without a length field: TEM and the restart markers
+const isStandalone = (marker) => marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7);
+
+// APP segments that affect how the pixels are decoded or displayed
+const isRenderingSegment = (marker, payload) =>
+  (marker === 0xe0 && payload.toString("latin1", 0, 5) === "JFIF\0") ||
+  (marker === 0xe2 && payload.toString("latin1", 0, 12) === "ICC_PROFILE\0") ||
+  (marker === 0xee && payload.toString("latin1", 0, 5) === "Adobe");
+
+// Drop EXIF/GPS, XMP, IPTC, comments and other APP segments from a JPEG without
+// decoding it, so the compressed image data is copied byte for byte. JFIF, the
+// ICC profile and the Adobe colour transform are kept.
+const stripJpegMetadata = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    throw new Error("Not a JPEG file.");
+  }
+
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error(`Malformed JPEG: expected a marker at byte ${offset}.`);
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd9) {
+      // Anything after the end of image (e.g. vendor trailers) is dropped
+      parts.push(buffer.subarray(offset, offset + 2));
+      return Buffer.concat(parts);
+    }
+    if (isStandalone(marker)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new Error(`Malformed JPEG: segment at byte ${offset} overruns the file.`);
+    }
+    const payload = buffer.subarray(offset + 4, end);
+    const isMetadata = (marker >= 0xe0 && marker <= 0xef) || marker === 0xfe;
+    if (!isMetadata || isRenderingSegment(marker, payload)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+
+    if (marker === 0xda) {
+      // Entropy-coded data runs until the next marker that is not a stuffed 0xFF00 or a restart
+      let scanEnd = offset;
+      while (
+        scanEnd + 1 < buffer.length &&
+        !(buffer[scanEnd] === 0xff && buffer[scanEnd + 1] !== 0x00 && !isStandalone(buffer[scanEnd + 1]))
+      ) {
+        scanEnd += 1;
+      }
+      if (scanEnd + 1 >= buffer.length) {
+        throw new Error("Malformed JPEG: missing end of image.");
+      }
+      parts.push(buffer.subarray(offset, scanEnd));
+      offset = scanEnd;
+    }
+  }
+
+  throw new Error("Malformed JPEG: missing end of image.");
+};
+
+module.exports = { stripJpegMetadata };
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const { effectiveDetections } = require("./annotations");
+const { severityFor } = require("./severity");
+
+// META-PM myopic maculopathy categories: C0 none, C1 tessellated fundus, C2 diffuse
+// chorioretinal atrophy, C3 patchy chorioretinal atrophy, C4 macular atrophy
+const META_PM_CATEGORIES = ["C0", "C1", "C2", "C3", "C4"];
+
+// "Plus" lesions reported alongside the category
+const PLUS_LESIONS = ["lacquerCracks", "cnv", "fuchsSpot"];
+
+const DEFAULT_MAPPING = {
+  // Category implied by the severity alone
+  severity: { normal: "C0", low: "C1", medium: "C2", high: "C3", severe: "C4" },
+  // A detected lesion raises the category to at least this one
+  lesionCategories: { diffuse_atrophy: "C2", patchy_atrophy: "C3", macular_atrophy: "C4" },
+  // Detection labels that count as each plus lesion
+  plusLesions: { lacquerCracks: ["lacquer_crack"], cnv: ["cnv"], fuchsSpot: ["fuchs_spot"] },
+  // Model boxes below this confidence are ignored; clinician boxes always count
+  minConfidence: 0.5,
+};
+
+const isCategoryMap = (map) =>
+  map && typeof map === "object" && Object.values(map).every((category) => META_PM_CATEGORIES.includes(category));
+
+// Optional JSON in META_PM_MAPPING overrides sections of the default mapping, e.g.
+// {"lesionCategories": {"atrophy": "C2"}}. An invalid mapping falls back to the default.
+const parseMapping = () => {
+  try {
+    const mapping = { ...DEFAULT_MAPPING, ...JSON.parse(process.env.META_PM_MAPPING || "{}") };
+    if (!isCategoryMap(mapping.severity) || !isCategoryMap(mapping.lesionCategories)) {
+      throw new Error(`categories must be one of ${META_PM_CATEGORIES.join(", ")}`);
+    }
+    const plusLesions = Object.entries(mapping.plusLesions || {});
+    if (plusLesions.some(([lesion, labels]) => !PLUS_LESIONS.includes(lesion) || !Array.isArray(labels))) {
+      throw new Error(`plusLesions must map ${PLUS_LESIONS.join(", ")} to lists of labels`);
+    }
+    if (typeof mapping.minConfidence !== "number" || mapping.minConfidence < 0 || mapping.minConfidence > 1) {
+      throw new Error("minConfidence must be between 0 and 1");
+    }
+    return mapping;
+  } catch (error) {
+    console.error("Invalid META_PM_MAPPING, using the default:", error.message);
+    return DEFAULT_MAPPING;
+  }
+};
+const MAPPING = parseMapping();
+
+// Stored with every derived result so diagnoses can be re-derived when the mapping changes
+const MAPPING_VERSION = crypto.createHash("md5").update(JSON.stringify(MAPPING)).digest("hex").slice(0, 8);
+
+const lowerKeys = (map) =>
+  Object.fromEntries(Object.entries(map).map(([label, value]) => [label.toLowerCase(), value]));
+const LESION_CATEGORIES = lowerKeys(MAPPING.lesionCategories);
+const PLUS_LESION_BY_LABEL = Object.fromEntries(
+  Object.entries(MAPPING.plusLesions).flatMap(([lesion, labels]) =>
+    labels.map((label) => [String(label).toLowerCase(), lesion])
+  )
+);
+
+const higherCategory = (a, b) =>
+  META_PM_CATEGORIES.indexOf(b) > META_PM_CATEGORIES.indexOf(a) ? b : a;
+
+// META-PM category and plus lesions for a diagnosis, from its final severity and the
+// clinician-corrected boxes where there are any
+const deriveMetaPm = (diagnosis) => {
+  const labels = effectiveDetections(diagnosis)
+    .filter(
+      (detection) =>
+        detection.source === "clinician" ||
+        typeof detection.confidence !== "number" ||
+        detection.confidence >= MAPPING.minConfidence
+    )
+    .map((detection) => String(detection.label).toLowerCase());
+
+  let category = MAPPING.severity[severityFor(diagnosis, "final")] || null;
+  labels.forEach((label) => {
+    if (LESION_CATEGORIES[label]) {
+      category = category ? higherCategory(category, LESION_CATEGORIES[label]) : LESION_CATEGORIES[label];
+    }
+  });
+
+  const plusLesions = Object.fromEntries(PLUS_LESIONS.map((lesion) => [lesion, false]));
+  labels.forEach((label) => {
+    if (PLUS_LESION_BY_LABEL[label]) plusLesions[PLUS_LESION_BY_LABEL[label]] = true;
+  });
+
+  return {
+    category,
+    plusLesions,
+    plus: Object.values(plusLesions).some(Boolean),
+    mappingVersion: MAPPING_VERSION,
+    derivedAt: new Date(),
+  };
+};
+
+module.exports = {
+  META_PM_CATEGORIES,
+  PLUS_LESIONS,
+  MAPPING_VERSION,
+  deriveMetaPm,
+};
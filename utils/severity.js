@@ -0,0 +1,24 @@
+// Severity levels from least to most severe
+const SEVERITY_LEVELS = ["normal", "low", "medium", "high", "severe"];
+
+const SEVERITY_ORDER = SEVERITY_LEVELS.reduce((order, level, index) => {
+  order[level] = index;
+  return order;
+}, {});
+
+// Helper function to determine more severe level
+const isMoreSevere = (newSeverity, oldSeverity) => {
+  return SEVERITY_ORDER[newSeverity] > SEVERITY_ORDER[oldSeverity];
+};
+
+// Severity to report for a diagnosis: the AI's ("ai") or the reviewed one ("final").
+// Until a doctor reviews it, the final severity is the AI's.
+const severityFor = (diagnosis, basis = "ai") =>
+  (basis === "final" && diagnosis.review?.finalSeverity) || diagnosis.severityLevel;
+
+module.exports = {
+  SEVERITY_LEVELS,
+  SEVERITY_ORDER,
+  isMoreSevere,
+  severityFor,
+};
@@ -0,0 +1,12 @@
+// Snellen fraction ("6/12", "20/40") to logMAR, rounded to two decimals
+const snellenToLogMAR = (snellen) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(String(snellen));
+  if (!match) return null;
+  const [numerator, denominator] = [parseFloat(match[1]), parseFloat(match[2])];
+  if (!numerator || !denominator) return null;
+  return Math.round(Math.log10(denominator / numerator) * 100) / 100;
+};
+
+module.exports = {
+  snellenToLogMAR,
+};